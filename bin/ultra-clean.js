@@ -1,13 +1,27 @@
 #!/usr/bin/env node
 
-const { program } = require('commander');
+const { program, Option, InvalidArgumentError } = require('commander');
 const chalk = require('chalk');
 const figlet = require('figlet');
 const gradient = require('gradient-string');
 const boxen = require('boxen');
-const { Select, Toggle, MultiSelect } = require('enquirer');
+const { Select, Toggle, MultiSelect, Password } = require('enquirer');
+const bytes = require('bytes');
+const fs = require('fs').promises;
+const { constants: fsConstants } = require('fs');
+const path = require('path');
+const os = require('os');
 const UltraSystemCleaner = require('../lib/cleaner');
+const ConsoleReporter = require('../lib/console-reporter');
+const JsonReporter = require('../lib/json-reporter');
 const ConfigManager = require('../lib/config-manager');
+const ConfigValidator = require('../lib/config-validator');
+const SecurityManager = require('../lib/security-manager');
+const AnalyticsManager = require('../lib/analytics-manager');
+const OpenFileDetector = require('../lib/open-files');
+const ProcessDetector = require('../lib/process-detector');
+const Scheduler = require('../lib/scheduler');
+const DiskWatcher = require('../lib/disk-watcher');
 
 // 🎨 Beautiful ASCII Art Header
 function displayHeader() {
@@ -43,18 +57,22 @@ function displayHeader() {
 }
 
 // 🔧 Interactive Mode
-async function interactiveMode() {
+async function interactiveMode(profiles = []) {
     displayHeader();
     
-    // Mode selection
+    // Profile selection
+    const emojis = { quick: '⚡', deep: '🔥' };
     const modePrompt = new Select({
         name: 'mode',
-        message: '🚀 Choose cleanup mode:',
+        message: '🚀 Choose cleanup profile:',
         choices: [
-            { name: 'quick', message: '⚡ Quick Clean (Recommended)', hint: 'Fast cleanup of common temp files' },
-            { name: 'deep', message: '🔥 Deep Clean', hint: 'Thorough system cleanup' },
-            { name: 'custom', message: '🎯 Custom Clean', hint: 'Choose specific areas to clean' },
-            { name: 'dry-run', message: '🧪 Dry Run', hint: 'Preview what will be cleaned' }
+            ...profiles.map(profile => ({
+                name: profile.name,
+                message: `${emojis[profile.name] || '🧰'} ${profile.name}${profile.name === 'quick' ? ' (Recommended)' : ''}`,
+                hint: profile.description || (profile.categories ? profile.categories.join(', ') : ''),
+                ...(profile.error ? { disabled: profile.error } : {})
+            })),
+            { name: 'custom', message: '🎯 Custom Clean', hint: 'Choose specific areas to clean' }
         ]
     });
     
@@ -62,10 +80,6 @@ async function interactiveMode() {
     
     let options = { verbose: true };
     
-    if (mode === 'dry-run') {
-        options.dryRun = true;
-    }
-    
     if (mode === 'custom') {
         const customPrompt = new MultiSelect({
             name: 'areas',
@@ -81,116 +95,1224 @@ async function interactiveMode() {
         });
         
         options.customAreas = await customPrompt.run();
+    } else {
+        options.profile = mode;
+    }
+    
+    // Preview or confirm the destructive run
+    const runPrompt = new Select({
+        name: 'run',
+        message: '⚠️  Proceed with cleanup? (This will delete files)',
+        choices: [
+            { name: 'clean', message: '🧹 Yes, clean it!' },
+            { name: 'dry-run', message: '🧪 Dry Run', hint: 'Preview what will be cleaned' },
+            { name: 'cancel', message: '✋ No, cancel' }
+        ]
+    });
+
+    const run = await runPrompt.run();
+    if (run === 'cancel') {
+        console.log(chalk.yellow('\n✋ Operation cancelled by user.'));
+        process.exit(0);
     }
+    options.dryRun = run === 'dry-run';
     
-    // Confirmation for destructive operations
-    if (!options.dryRun) {
+    return options;
+}
+
+// 🤖 --json and --ndjson replace all terminal decoration with machine-readable output
+function isMachineOutput(options) {
+    return Boolean(options.json || options.ndjson);
+}
+
+// 🧱 Command line flags that have a configuration setting, as the topmost configuration layer
+function cliConfigLayer(options) {
+    const layer = {};
+    const set = (section, key, value) => {
+        if (value !== undefined) {
+            layer[section] = { ...layer[section], [key]: value };
+        }
+    };
+
+    set('global', 'dryRun', options.dryRun || undefined);
+    set('global', 'verbose', options.verbose || options.verboseLogging || undefined);
+    set('global', 'backup', options.backup === false ? false : undefined);
+    set('security', 'level', options.securityLevel);
+    set('performance', 'maxParallelJobs', options.jobs);
+
+    return layer;
+}
+
+// ⚙️ Load configuration and merge it with the command line options
+async function buildCleanupOptions(options, { quiet = isMachineOutput(options), profile = null, scheduled = false, interactive = true } = {}) {
+    const configManager = new ConfigManager(quiet ? { output: () => {} } : {});
+    const config = await configManager.loadConfig(options.config, { overrides: cliConfigLayer(options) });
+
+    const cliOptions = {
+        verbose: options.verbose || false,
+        // Left out unless given, so global.dryRun and global.backup from the configuration apply
+        ...(options.dryRun ? { dryRun: true } : {}),
+        skipConfirmation: options.yes || false,
+        ...(options.backup === false ? { enableBackup: false } : {}),
+        enableLogging: options.logging !== false,
+        enableAnalytics: options.analytics !== false,
+        strategy: options.strategy || null,
+        securityLevel: options.securityLevel,
+        generateReport: options.generateReport || null,
+        exportFormat: options.exportFormat || 'json',
+        ...(options.jobs ? { maxParallelJobs: options.jobs } : {}),
+        ...(options.targetFree ? { targetFree: options.targetFree } : {}),
+        filters: {
+            olderThanDays: options.olderThan,
+            minSize: options.minSize,
+            patterns: options.match
+        }
+    };
+
+    // Override logging level if verbose-logging is specified
+    if (options.verboseLogging) {
+        cliOptions.enableLogging = true;
+        cliOptions.verbose = true;
+    }
+
+    // Merge configuration with CLI options, then the profile's targets and safety settings
+    let cleanupOptions = configManager.mergeOptions(cliOptions);
+    if (options.targetMount) {
+        cleanupOptions.targetMount = configManager.createPathResolver().resolvePath(options.targetMount);
+    }
+    if (profile) {
+        cleanupOptions = configManager.applyProfile(cleanupOptions, profile, cliOptions);
+    }
+    if (scheduled) {
+        cleanupOptions = configManager.applySchedule(cleanupOptions, cliOptions);
+    }
+
+    // Prompting needs someone at the terminal, otherwise running apps are skipped
+    if (interactive && cleanupOptions.runningApps === 'prompt' && !options.yes && process.stdin.isTTY && !isMachineOutput(options)) {
+        cleanupOptions.confirmRunningApp = confirmRunningApp;
+    }
+
+    return { configManager, config, cleanupOptions, cliOptions };
+}
+
+// 🧰 Profile picked by --profile, --quick or --deep; quick unless told otherwise
+function selectedProfile(options) {
+    const chosen = [
+        options.profile && `--profile ${options.profile}`,
+        options.quick && '--quick',
+        options.deep && '--deep'
+    ].filter(Boolean);
+
+    if (chosen.length > 1) {
+        throw new Error(`Choose only one of ${chosen.join(', ')}`);
+    }
+    return options.profile || (options.deep ? 'deep' : 'quick');
+}
+
+// 🏃 Ask whether to clean an app's cache while the app is running
+async function confirmRunningApp(target, running) {
+    const prompt = new Toggle({
+        message: `🏃 ${ProcessDetector.describe(running)} is running. Clean ${target.description} anyway?`,
+        enabled: 'Clean',
+        disabled: 'Skip',
+        initial: false
+    });
+    return prompt.run();
+}
+
+// 📅 Parse a date option: an ISO date or a relative age such as "7d"
+function parseDateOption(value) {
+    const relative = /^(\d+)d$/.exec(value);
+    const date = relative
+        ? new Date(Date.now() - parseInt(relative[1], 10) * 24 * 60 * 60 * 1000)
+        : new Date(value);
+
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid date: ${value}`);
+    }
+    return date;
+}
+
+// 🔑 Ask for the backup passphrase unless it is provided via the environment
+async function promptPassphrase({ confirm = false, interactive = true } = {}) {
+    if (process.env.ULTRA_CLEANER_BACKUP_PASSPHRASE) {
+        return process.env.ULTRA_CLEANER_BACKUP_PASSPHRASE;
+    }
+    if (!interactive) {
+        throw new Error('Set ULTRA_CLEANER_BACKUP_PASSPHRASE for encrypted backups with --json or --ndjson');
+    }
+
+    const passphrase = await new Password({
+        name: 'passphrase',
+        message: '🔑 Backup passphrase:'
+    }).run();
+
+    if (!passphrase) {
+        throw new Error('A passphrase is required for encrypted backups');
+    }
+
+    if (confirm) {
+        const repeated = await new Password({
+            name: 'confirm',
+            message: '🔑 Repeat passphrase:'
+        }).run();
+
+        if (repeated !== passphrase) {
+            throw new Error('Passphrases do not match');
+        }
+    }
+
+    return passphrase;
+}
+
+// 💾 Security manager configured for backup commands
+async function createBackupManager(options) {
+    const configManager = new ConfigManager();
+    await configManager.loadConfig(options.config);
+    const merged = configManager.mergeOptions({ verbose: options.verbose });
+
+    const securityManager = new SecurityManager({
+        ...(merged.backupLocation ? { backupLocation: merged.backupLocation } : {}),
+        ...(merged.logLocation ? { logLocation: merged.logLocation } : {}),
+        compression: merged.backupCompression,
+        verifyIntegrity: merged.verifyBackupIntegrity,
+        encrypt: merged.encryptBackups,
+        ...(merged.maxBackupSize ? { maxBackupSize: merged.maxBackupSize } : {}),
+        ...(merged.backupRetentionDays ? { retentionDays: merged.backupRetentionDays } : {}),
+        // Listing, restoring or deleting a backup must never expire the one about to be restored
+        autoCleanup: false,
+        verbose: options.verbose || false
+    });
+    await securityManager.initialize();
+
+    return securityManager;
+}
+
+// 💥 Report an error that stopped the command and exit
+function reportFatalError(error, options) {
+    if (isMachineOutput(options)) {
+        process.stdout.write(`${JSON.stringify(JsonReporter.serializeError(error))}\n`);
+    } else {
+        console.error(chalk.red('\n❌ Error occurred:'), error.message);
+        if (options.verbose) {
+            console.error(chalk.gray(error.stack));
+        }
+    }
+    process.exit(JsonReporter.EXIT_CODES.FAILURE);
+}
+
+// 🛡️ Run a subcommand action with consistent error handling
+function withErrorHandling(action) {
+    return async (...args) => {
+        const command = args[args.length - 1];
+        try {
+            await action(...args);
+        } catch (error) {
+            reportFatalError(error, command.optsWithGlobals());
+        }
+    };
+}
+
+// 📋 backups list
+async function listBackupsCommand(options, command) {
+    const globals = command.optsWithGlobals();
+    const securityManager = await createBackupManager(globals);
+
+    const backups = securityManager.listBackups({
+        session: options.session || null,
+        since: options.since ? parseDateOption(options.since) : null,
+        until: options.until ? parseDateOption(options.until) : null,
+        pathFilter: options.path || null
+    });
+
+    if (backups.length === 0) {
+        console.log(chalk.yellow('\n📭 No backups found.'));
+        return;
+    }
+
+    // Group by session so a whole run can be restored at once
+    const sessions = new Map();
+    for (const backup of backups) {
+        const key = String(backup.session);
+        if (!sessions.has(key)) sessions.set(key, []);
+        sessions.get(key).push(backup);
+    }
+
+    for (const [session, entries] of sessions) {
+        const sessionSize = entries.reduce((sum, backup) => sum + (backup.size || 0), 0);
+        console.log(chalk.magenta(`\n🗂️  Session ${session}`) +
+            chalk.gray(` (${new Date(Number(session)).toLocaleString()}, ${entries.length} backups, ${bytes(sessionSize)})`));
+
+        for (const backup of entries) {
+            console.log(
+                `   ${chalk.cyan(backup.id)}  ` +
+                `${chalk.gray(new Date(backup.timestamp).toLocaleString())}  ` +
+                `${chalk.white(bytes(backup.size || 0).padStart(8))}  ` +
+                `${chalk.gray(`${backup.files || 0} files`)}  ` +
+                `${chalk.yellow(backup.category || 'general')}  ` +
+                `${backup.originalPath}`
+            );
+        }
+    }
+
+    const totalSize = backups.reduce((sum, backup) => sum + (backup.size || 0), 0);
+    console.log(chalk.gray(`\n💾 ${backups.length} backups, ${bytes(totalSize)} total`));
+}
+
+// 🔄 backups restore
+async function restoreBackupsCommand(backupId, options, command) {
+    if (!backupId && !options.session) {
+        throw new Error('Specify a backup ID or --session <id>');
+    }
+
+    const securityManager = await createBackupManager(command.optsWithGlobals());
+
+    const targets = backupId
+        ? [securityManager.backups.get(backupId)].filter(Boolean)
+        : securityManager.listBackups({ session: options.session });
+
+    if (targets.some(backup => backup.encrypted)) {
+        securityManager.options.passphrase = await promptPassphrase();
+    }
+
+    const results = backupId
+        ? [{ id: backupId, restored: await securityManager.restoreBackup(backupId) }]
+        : await securityManager.restoreSession(options.session);
+
+    const failed = results.filter(result => !result.restored);
+    console.log(chalk.green(`\n🔄 Restored ${results.length - failed.length} of ${results.length} backups`));
+
+    if (failed.length > 0) {
+        console.log(chalk.red(`❌ Failed: ${failed.map(result => result.id).join(', ')}`));
+        process.exitCode = 1;
+    }
+}
+
+// 🗑️ backups delete
+async function deleteBackupsCommand(backupIds, options, command) {
+    const globals = command.optsWithGlobals();
+    const securityManager = await createBackupManager(globals);
+
+    const ids = options.session
+        ? securityManager.listBackups({ session: options.session }).map(backup => backup.id)
+        : backupIds;
+
+    if (ids.length === 0) {
+        throw new Error('Specify backup IDs or --session <id>');
+    }
+
+    if (!globals.yes) {
         const confirmPrompt = new Toggle({
             name: 'confirm',
-            message: '⚠️  Proceed with cleanup? (This will delete files)',
+            message: `⚠️  Permanently delete ${ids.length} backup(s)?`,
+            enabled: 'Yes, delete',
+            disabled: 'No, cancel'
+        });
+
+        if (!(await confirmPrompt.run())) {
+            console.log(chalk.yellow('\n✋ Operation cancelled by user.'));
+            return;
+        }
+    }
+
+    for (const id of ids) {
+        await securityManager.deleteBackup(id);
+    }
+
+    console.log(chalk.green(`\n🗑️  Deleted ${ids.length} backup(s)`));
+}
+
+// 🖥️ Cleaner that reports to the terminal, or as JSON with --json / --ndjson
+function createCleaner(cleanupOptions, options = {}) {
+    const reporter = isMachineOutput(options)
+        ? new JsonReporter({ ndjson: Boolean(options.ndjson) })
+        : new ConsoleReporter();
+    return new UltraSystemCleaner({ ...cleanupOptions, reporter });
+}
+
+// 🔎 scan
+async function scanCommand(options, command) {
+    const globals = command.optsWithGlobals();
+    applyColorOptions(globals);
+
+    const { cleanupOptions } = await buildCleanupOptions(globals, { profile: selectedProfile(globals) });
+
+    const cleaner = createCleaner(cleanupOptions, globals);
+    const plan = await cleaner.scan();
+
+    await fs.writeFile(options.out, JSON.stringify(plan, null, 2));
+    if (!isMachineOutput(globals)) {
+        console.log(chalk.green(`💾 Plan saved to: ${options.out}`));
+        console.log(chalk.gray(`   Review it, then run: ultra-clean apply ${options.out}`));
+    }
+}
+
+// 🧾 apply
+async function applyCommand(planPath, options, command) {
+    const globals = command.optsWithGlobals();
+    applyColorOptions(globals);
+
+    const plan = JSON.parse(await fs.readFile(planPath, 'utf8'));
+    const { cleanupOptions } = await buildCleanupOptions(globals);
+    const ready = (plan.targets || []).filter(entry => entry.status === 'ready');
+
+    if (plan.host && plan.host !== os.hostname()) {
+        throw new Error(`Plan was created on ${plan.host}, not on this machine`);
+    }
+
+    if (!cleanupOptions.dryRun && !globals.yes) {
+        if (isMachineOutput(globals)) {
+            throw new Error('Applying a plan with --json or --ndjson needs --yes (or --dry-run)');
+        }
+
+        const files = ready.reduce((sum, entry) => sum + entry.fileCount, 0);
+        const size = ready.reduce((sum, entry) => sum + entry.size, 0);
+        const confirmPrompt = new Toggle({
+            name: 'confirm',
+            message: `⚠️  Apply plan: ${ready.length} targets, ${files} files, ${bytes(size)}?`,
             enabled: 'Yes, clean it!',
             disabled: 'No, cancel'
         });
-        
-        const confirmed = await confirmPrompt.run();
-        if (!confirmed) {
+
+        if (!(await confirmPrompt.run())) {
             console.log(chalk.yellow('\n✋ Operation cancelled by user.'));
-            process.exit(0);
+            return;
         }
     }
-    
-    return options;
+
+    const needsBackup = ready.some(entry => entry.strategy === 'backup-then-delete');
+    if (needsBackup && cleanupOptions.encryptBackups && cleanupOptions.enableBackup && !cleanupOptions.dryRun) {
+        cleanupOptions.backupPassphrase = await promptPassphrase({ confirm: true, interactive: !isMachineOutput(globals) });
+    }
+
+    const cleaner = createCleaner(cleanupOptions, globals);
+    const result = await cleaner.applyPlan(plan);
+    process.exitCode = JsonReporter.getExitCode(result);
+}
+
+// 🎨 Colors are off with --no-color and whenever the output is meant for a script
+function applyColorOptions(options) {
+    // Commander turns --no-color into color: false
+    if (options.color === false || isMachineOutput(options)) {
+        chalk.level = 0;
+    }
+}
+
+// 🧹 Run a cleanup and set the exit code from its result
+async function runCleanup(cleanupOptions, options, { interactive = false } = {}) {
+    // Encrypted backups need a passphrase before anything is deleted
+    if (cleanupOptions.encryptBackups && cleanupOptions.enableBackup && !cleanupOptions.dryRun) {
+        cleanupOptions.backupPassphrase = await promptPassphrase({ confirm: true, interactive: !isMachineOutput(options) });
+    }
+
+    const cleaner = createCleaner(cleanupOptions, options);
+    let result = await cleaner.run();
+
+    // A preview chosen from the menu can become the real cleanup, reusing its scan results
+    if (interactive && cleanupOptions.dryRun && !options.yes && process.stdin.isTTY) {
+        const proceedPrompt = new Toggle({
+            name: 'proceed',
+            message: '🧹 Clean these files now?',
+            enabled: 'Yes, clean it!',
+            disabled: 'No, exit'
+        });
+
+        if (await proceedPrompt.run()) {
+            if (cleanupOptions.encryptBackups && cleanupOptions.enableBackup) {
+                cleaner.securityManager.options.passphrase = await promptPassphrase({ confirm: true });
+            }
+            cleaner.options.dryRun = false;
+            cleaner.resetStats();
+            result = await cleaner.run();
+        }
+    }
+
+    process.exitCode = JsonReporter.getExitCode(result);
+}
+
+// 🎯 No subcommand: pick what to clean from a menu
+async function interactiveCommand(options) {
+    applyColorOptions(options);
+
+    if (isMachineOutput(options)) {
+        throw new Error('--json and --ndjson need a subcommand, e.g. ultra-clean clean --json');
+    }
+
+    const { configManager, cleanupOptions, cliOptions } = await buildCleanupOptions(options);
+    const { profile, ...selection } = await interactiveMode(configManager.getProfiles());
+    const selected = profile ? configManager.applyProfile(cleanupOptions, profile, cliOptions) : cleanupOptions;
+    await runCleanup({ ...selected, ...selection }, options, { interactive: true });
+}
+
+// 🧹 clean
+async function cleanCommand(options, command) {
+    const globals = command.optsWithGlobals();
+    applyColorOptions(globals);
+
+    if (globals.targetMount && !globals.targetFree) {
+        throw new Error('--target-mount only applies together with --target-free');
+    }
+
+    if (globals.scheduled && (globals.profile || globals.quick || globals.deep)) {
+        throw new Error('--scheduled cleans the categories of the schedule section, leave out --profile, --quick and --deep');
+    }
+
+    const { configManager, config, cleanupOptions } = await buildCleanupOptions(globals,
+        globals.scheduled ? { scheduled: true } : { profile: selectedProfile(globals) });
+
+    // A timer that outlived schedule.enabled does nothing
+    if (globals.scheduled && config.schedule?.enabled !== true) {
+        const reason = 'schedule.enabled is not set, skipping the scheduled cleanup';
+        if (isMachineOutput(globals)) {
+            console.log(JSON.stringify({ version: JsonReporter.FORMAT_VERSION, success: true, skipped: true, reason, exitCode: JsonReporter.EXIT_CODES.SUCCESS }));
+        } else {
+            console.log(chalk.yellow(`⏸️  ${reason}`));
+        }
+        return;
+    }
+
+    // Save config if requested
+    if (globals.saveConfig) {
+        configManager.config = { ...config, ...cleanupOptions };
+        await configManager.saveConfig(globals.saveConfig);
+        return;
+    }
+
+    if (!isMachineOutput(globals)) {
+        displayHeader();
+    }
+
+    await runCleanup(cleanupOptions, globals);
+}
+
+// 📊 report
+async function reportCommand(options, command) {
+    const globals = command.optsWithGlobals();
+    applyColorOptions(globals);
+
+    const configManager = new ConfigManager({ output: () => {} });
+    await configManager.loadConfig(globals.config);
+    const { analyticsLocation, reportLocation } = configManager.mergeOptions({});
+
+    const analyticsManager = new AnalyticsManager({
+        ...(analyticsLocation ? { analyticsLocation } : {}),
+        output: isMachineOutput(globals) ? () => {} : null
+    });
+    await analyticsManager.initialize();
+
+    const out = options.out || path.join(reportLocation || process.cwd(), `ultra-cleaner-report.${options.format}`);
+    const reportPath = await analyticsManager.exportAnalytics(out, options.format, { period: options.period });
+    if (!reportPath) {
+        throw new Error(`Could not write the report to ${out}`);
+    }
+
+    if (isMachineOutput(globals)) {
+        console.log(JSON.stringify({ version: JsonReporter.FORMAT_VERSION, success: true, reportPath, reportFormat: options.format, period: options.period }));
+    } else if (options.format === 'html') {
+        console.log(chalk.gray(`   Open in browser to view charts and detailed analysis`));
+    }
+}
+
+// 📋 config show
+async function showConfigCommand(options, command) {
+    const globals = command.optsWithGlobals();
+    applyColorOptions(globals);
+
+    const configManager = new ConfigManager({ output: () => {} });
+    const config = await configManager.loadConfig(globals.config);
+    const layers = configManager.layers.map(layer => ({ name: layer.name, path: layer.path }));
+
+    if (isMachineOutput(globals)) {
+        console.log(JSON.stringify({
+            version: JsonReporter.FORMAT_VERSION,
+            path: configManager.configPath,
+            layers,
+            config,
+            ...(options.resolved ? { sources: Object.fromEntries([...configManager.sources].map(([pointer, layer]) => [pointer, layer.name])) } : {})
+        }));
+        return;
+    }
+
+    for (const layer of layers) {
+        console.log(chalk.gray(`# ${layer.name}${layer.path ? `: ${layer.path}` : ''}`));
+    }
+
+    if (!options.resolved) {
+        console.log(JSON.stringify(config, null, 2));
+        return;
+    }
+
+    // Each value is followed by the layer it came from
+    const lines = [];
+    const annotate = (value, segments, indent, suffix) => {
+        const pad = '  '.repeat(indent);
+        const key = segments.length > 0 && typeof segments[segments.length - 1] === 'string' ? `${JSON.stringify(segments[segments.length - 1])}: ` : '';
+        const entries = value !== null && typeof value === 'object' && !Array.isArray(value) ? Object.entries(value) : null;
+
+        if (entries && entries.length > 0) {
+            lines.push(`${pad}${key}{`);
+            entries.forEach(([childKey, child], index) => annotate(child, [...segments, childKey], indent + 1, index < entries.length - 1 ? ',' : ''));
+            lines.push(`${pad}}${suffix}`);
+            return;
+        }
+
+        const source = configManager.getSource(ConfigValidator.toPointer(segments));
+        const origin = source ? chalk.gray(`  # ${source.name}`) : '';
+        lines.push(`${pad}${key}${JSON.stringify(value)}${suffix}${origin}`);
+    };
+    annotate(config, [], 0, '');
+    console.log(lines.join('\n'));
+}
+
+// 📝 config init
+async function initConfigCommand(targetPath, options, command) {
+    const globals = command.optsWithGlobals();
+    const configManager = new ConfigManager({ output: isMachineOutput(globals) ? () => {} : null });
+    const destination = path.resolve(targetPath || 'ultra-cleaner.json');
+
+    if (!options.force && await configManager.fileExists(destination)) {
+        throw new Error(`${destination} already exists, use --force to overwrite it`);
+    }
+
+    await configManager.loadDefaultConfig();
+    // Editors resolve the schema relative to the new file
+    configManager.config.$schema = path.relative(path.dirname(destination), path.join(__dirname, '..', 'config', 'config-schema.json'));
+    await configManager.saveConfig(destination);
+
+    if (isMachineOutput(globals)) {
+        console.log(JSON.stringify({ version: JsonReporter.FORMAT_VERSION, success: true, path: destination }));
+    }
+}
+
+// ✅ config validate
+async function validateConfigCommand(file, options, command) {
+    const globals = command.optsWithGlobals();
+    applyColorOptions(globals);
+
+    const configManager = new ConfigManager({ output: () => {} });
+    let target = file || globals.config;
+    if (!target) {
+        // The most specific file a run would pick up
+        const files = await configManager.findConfigFiles();
+        target = files[files.length - 1].path;
+    }
+
+    const configPath = path.resolve(target);
+    const { valid, errors, warnings } = await configManager.validateFile(configPath);
+    process.exitCode = valid ? JsonReporter.EXIT_CODES.SUCCESS : JsonReporter.EXIT_CODES.FAILURE;
+
+    if (isMachineOutput(globals)) {
+        console.log(JSON.stringify({ version: JsonReporter.FORMAT_VERSION, success: valid, path: configPath, errors, warnings, exitCode: process.exitCode }));
+        return;
+    }
+
+    console.log(chalk.cyan(`\n📋 ${configPath}\n`));
+    for (const issue of errors) {
+        console.log(chalk.red(`✖ ${ConfigValidator.formatIssue(issue)}`));
+    }
+    for (const issue of warnings) {
+        console.log(chalk.yellow(`⚠ ${ConfigValidator.formatIssue(issue)}`));
+    }
+
+    const counts = `${errors.length} error(s), ${warnings.length} warning(s)`;
+    console.log(valid ? chalk.green(`\n✅ Valid configuration (${counts})`) : chalk.red(`\n❌ Invalid configuration (${counts})`));
+}
+
+// 🗓️ The schedule section and a scheduler for the configuration in use
+async function loadSchedule(globals) {
+    const configManager = new ConfigManager({ output: () => {} });
+    const config = await configManager.loadConfig(globals.config);
+    const schedule = config.schedule || {};
+
+    return {
+        configManager,
+        schedule,
+        scheduler: new Scheduler({ configPath: globals.config || null })
+    };
+}
+
+// 🗓️ schedule install
+async function scheduleInstallCommand(options, command) {
+    const globals = command.optsWithGlobals();
+    applyColorOptions(globals);
+
+    const { schedule, scheduler } = await loadSchedule(globals);
+    if (schedule.enabled !== true) {
+        throw new Error('schedule.enabled is not true; set it in your configuration (e.g. ~/.ultra-cleaner.json) or with ULTRA_CLEANER_SCHEDULE__ENABLED=true to install the schedule');
+    }
+
+    const installed = await scheduler.install(schedule);
+
+    if (isMachineOutput(globals)) {
+        console.log(JSON.stringify({ version: JsonReporter.FORMAT_VERSION, success: true, ...installed }));
+        return;
+    }
+
+    console.log(chalk.green(`✅ Scheduled ${Scheduler.describe(schedule)} via ${installed.backend === 'systemd' ? 'a systemd user timer' : 'crontab'} (${installed.calendar})`));
+    for (const file of installed.files) {
+        console.log(chalk.gray(`   ${file}`));
+    }
+    console.log(chalk.gray(`   Runs: ${installed.command.join(' ')}`));
+    if (schedule.dryRun) {
+        console.log(chalk.yellow('   schedule.dryRun is set, scheduled runs only preview'));
+    }
+}
+
+// 🗑️ schedule remove
+async function scheduleRemoveCommand(options, command) {
+    const globals = command.optsWithGlobals();
+    applyColorOptions(globals);
+
+    const { removed } = await new Scheduler().remove();
+
+    if (isMachineOutput(globals)) {
+        console.log(JSON.stringify({ version: JsonReporter.FORMAT_VERSION, success: true, removed }));
+    } else if (removed.length === 0) {
+        console.log(chalk.yellow('No schedule is installed'));
+    } else {
+        console.log(chalk.green(`🗑️  Removed the schedule: ${removed.join(', ')}`));
+    }
+}
+
+// 📋 schedule status
+async function scheduleStatusCommand(options, command) {
+    const globals = command.optsWithGlobals();
+    applyColorOptions(globals);
+
+    const { configManager, schedule, scheduler } = await loadSchedule(globals);
+    const status = await scheduler.status(schedule);
+
+    // The outcome of the last scheduled run, as recorded by analytics
+    const { analyticsLocation } = configManager.mergeOptions({});
+    const analyticsManager = new AnalyticsManager({ ...(analyticsLocation ? { analyticsLocation } : {}), output: () => {} });
+    await analyticsManager.initialize();
+    const session = analyticsManager.getLastSession('scheduled');
+    const lastResult = session ? {
+        startedAt: new Date(session.startTime).toISOString(),
+        dryRun: Boolean(session.dryRun),
+        files: session.summary.filesCleaned,
+        size: session.summary.spaceRecovered,
+        errors: session.summary.errors,
+        duration: session.summary.duration
+    } : null;
+
+    if (isMachineOutput(globals)) {
+        console.log(JSON.stringify({ version: JsonReporter.FORMAT_VERSION, schedule, ...status, lastResult }));
+        return;
+    }
+
+    console.log(chalk.cyan(`\n🗓️  Schedule: ${Scheduler.describe(schedule)}${schedule.dryRun ? ' (dry run)' : ''}, categories ${(schedule.categories || []).join(', ') || 'none'}`));
+    if (schedule.enabled !== true) {
+        console.log(chalk.yellow('   schedule.enabled is not set, scheduled runs are skipped'));
+    }
+
+    if (!status.installed) {
+        console.log(chalk.gray('   Not installed, see ultra-clean schedule install'));
+    } else {
+        console.log(`   Installed:   ${status.backend === 'systemd' ? `systemd user timer (${status.active ? 'active' : 'inactive'})` : 'crontab'}, ${status.calendar}`);
+        if (!status.upToDate) {
+            console.log(chalk.yellow('   The installed times differ from the configuration, run ultra-clean schedule install again'));
+        }
+        console.log(`   Next run:    ${status.next || 'unknown'}`);
+        console.log(`   Last run:    ${status.last || (lastResult ? lastResult.startedAt : 'never')}${status.lastExitCode !== null ? ` (exit code ${status.lastExitCode})` : ''}`);
+    }
+
+    console.log(lastResult
+        ? `   Last result: ${lastResult.startedAt}${lastResult.dryRun ? ' (dry run)' : ''}, ${lastResult.files.toLocaleString()} files, ${bytes(lastResult.size)}, ${lastResult.errors} error(s)`
+        : chalk.gray('   Last result: no scheduled run recorded in analytics'));
+}
+
+// 👀 Log level and message for a watcher event; checks that change nothing only show with --verbose
+function describeWatchEvent(event, payload, profile) {
+    const mounts = (payload.mounts || []).map(DiskWatcher.describe).join(', ');
+
+    switch (event) {
+        case 'watch:start':
+            return {
+                level: 'INFO',
+                message: `👀 Watching ${payload.mountPoints.join(', ')} every ${payload.intervalSeconds}s: profile ${profile} below ${payload.minFree} free, again once above ${payload.resumeFree}, at most every ${payload.cooldownMinutes} min`
+            };
+        case 'watch:check':
+            return { level: 'DEBUG', message: `💽 ${mounts}` };
+        case 'watch:rearmed':
+            return { level: 'INFO', message: `🔁 Free space recovered, watching again: ${DiskWatcher.describe(payload)}` };
+        case 'watch:cooldown':
+            return { level: 'INFO', message: `⏳ Low on space but the last cleanup was recent, next one possible at ${payload.nextCleanupAt}: ${mounts}` };
+        case 'watch:trigger':
+            return { level: 'WARN', message: `🚨 Low on space, running profile ${profile}: ${mounts}` };
+        case 'watch:cleaned': {
+            const { result } = payload;
+            const freed = payload.mounts.map(state => `${state.mount} ${state.freed === null ? 'unknown' : bytes(Math.max(state.freed, 0))}`).join(', ');
+            return {
+                level: result.success ? 'SUCCESS' : 'WARN',
+                message: `🧹 Watch cleanup ${result.dryRun ? 'previewed' : 'removed'} ${result.totals.files.toLocaleString()} files (${bytes(result.totals.size)}), free space gained: ${freed}`
+            };
+        }
+        case 'watch:error':
+            return { level: 'ERROR', message: `Watch: ${payload.message}` };
+        case 'watch:draining':
+            return { level: 'INFO', message: '⏸️  Stopping after the running cleanup finishes' };
+        case 'watch:stop':
+            return { level: 'INFO', message: '👋 Stopped watching free space' };
+        default:
+            return { level: 'INFO', message: event };
+    }
+}
+
+// 👀 watch
+async function watchCommand(options, command) {
+    const globals = command.optsWithGlobals();
+    applyColorOptions(globals);
+
+    // Nobody answers prompts while watching: with runningApps set to prompt, running apps are skipped
+    const { configManager, cleanupOptions, cliOptions } = await buildCleanupOptions(globals, { interactive: false });
+    const watch = configManager.getWatch();
+    const profile = globals.profile || watch.profile || 'quick';
+    // Fail on an unknown profile now rather than at the first low disk
+    const profiled = configManager.applyWatch(configManager.applyProfile(cleanupOptions, profile, cliOptions), cliOptions);
+
+    if (profiled.encryptBackups && profiled.enableBackup && !profiled.dryRun && !process.env.ULTRA_CLEANER_BACKUP_PASSPHRASE) {
+        throw new Error('Set ULTRA_CLEANER_BACKUP_PASSPHRASE for encrypted backups in watch mode');
+    }
+
+    // Watch activity goes to the same log as the cleanups it starts
+    const securityManager = new SecurityManager({
+        enableLogging: profiled.enableLogging !== false,
+        enableBackup: false,
+        ...(profiled.logLocation ? { logLocation: profiled.logLocation } : {}),
+        output: () => {}
+    });
+    await securityManager.initialize();
+
+    const reporter = isMachineOutput(globals) ? new JsonReporter({ ndjson: true }) : null;
+    let lastResult = null;
+
+    const watcher = new DiskWatcher({
+        mountPoints: watch.mountPoints,
+        minFree: watch.minFree,
+        resumeFree: watch.resumeFree,
+        intervalSeconds: watch.intervalSeconds,
+        cooldownMinutes: watch.cooldownMinutes,
+        cleanup: async ({ mounts }) => {
+            const trigger = {
+                source: 'watch',
+                profile,
+                mounts: mounts.map(({ mount, free, total, minFree }) => ({ mount, free, total, minFree }))
+            };
+            const cleaner = createCleaner({ ...profiled, trigger }, globals);
+            lastResult = await cleaner.run();
+            return lastResult;
+        }
+    });
+
+    for (const event of DiskWatcher.EVENTS) {
+        watcher.on(event, (payload = {}) => {
+            const { level, message } = describeWatchEvent(event, payload, profile);
+            // The cleanup's own result is already in its session:end and analytics
+            const { result, ...details } = payload;
+            const context = result ? { ...details, success: result.success, dryRun: result.dryRun, totals: result.totals } : details;
+
+            // Every check would flood the log, the others are what happened
+            if (level !== 'DEBUG') {
+                securityManager.log(level, message, context);
+            }
+
+            if (reporter) {
+                reporter.onEvent(event, context);
+            } else if (level !== 'DEBUG' || globals.verbose) {
+                const colors = { ERROR: chalk.red, WARN: chalk.yellow, SUCCESS: chalk.green, DEBUG: chalk.gray };
+                const line = `${chalk.gray(new Date().toISOString())} ${(colors[level] || (text => text))(message)}`;
+                (level === 'ERROR' ? console.error : console.log)(line);
+            }
+        });
+    }
+
+    if (options.once) {
+        watcher.emit('watch:start', watcher.getSettings());
+        await watcher.check();
+        if (lastResult) {
+            process.exitCode = JsonReporter.getExitCode(lastResult);
+        }
+        return;
+    }
+
+    // systemd stops the service with SIGTERM: finish a running cleanup, then exit; a second signal exits at once
+    process.off('SIGINT', onInterrupt);
+    let stopping = null;
+    const shutdown = signal => {
+        if (stopping) {
+            securityManager.log('WARN', `Watch interrupted by a second ${signal} during a cleanup`);
+            process.exit(JsonReporter.EXIT_CODES.INTERRUPTED);
+        }
+        securityManager.log('INFO', `Received ${signal}`);
+        stopping = watcher.stop();
+    };
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
+
+    await new Promise(resolve => {
+        watcher.once('watch:stop', resolve);
+        watcher.start();
+    });
+
+    process.off('SIGTERM', shutdown);
+    process.off('SIGINT', shutdown);
+}
+
+// 🧭 What every enabled custom path expands to, as reported by the cleaner
+async function resolveCustomPaths(cleanupOptions) {
+    const cleaner = new UltraSystemCleaner({ ...cleanupOptions, reporter: null });
+    const resolved = [];
+    cleaner.on('paths:resolved', entry => resolved.push(entry));
+    await cleaner.getCustomTargets();
+    return resolved;
+}
+
+// 🧭 config paths
+async function configPathsCommand(options, command) {
+    const globals = command.optsWithGlobals();
+    applyColorOptions(globals);
+
+    const { cleanupOptions } = await buildCleanupOptions(globals, { quiet: true });
+    const locations = {
+        backupLocation: cleanupOptions.backupLocation || null,
+        logLocation: cleanupOptions.logLocation || null,
+        analyticsLocation: cleanupOptions.analyticsLocation || null,
+        reportLocation: cleanupOptions.reportLocation || null
+    };
+    const customPaths = await resolveCustomPaths(cleanupOptions);
+
+    if (isMachineOutput(globals)) {
+        console.log(JSON.stringify({ version: JsonReporter.FORMAT_VERSION, locations, customPaths }));
+        return;
+    }
+
+    console.log(chalk.cyan('\n📁 Locations\n'));
+    for (const [name, location] of Object.entries(locations)) {
+        console.log(`${chalk.white(name.padEnd(18))} ${location || chalk.gray('(default)')}`);
+    }
+
+    console.log(chalk.cyan('\n🧭 Custom paths\n'));
+    if (customPaths.length === 0) {
+        console.log(chalk.gray('No enabled custom paths'));
+    }
+    for (const entry of customPaths) {
+        console.log(`${chalk.white(entry.pattern)} ${chalk.gray(`(${entry.source})`)}`);
+        if (entry.error) {
+            console.log(chalk.red(`   ✖ ${entry.error}`));
+        } else if (entry.glob && entry.paths.length === 0) {
+            console.log(chalk.yellow('   ⚠ matched nothing'));
+        }
+        for (const match of entry.paths) {
+            console.log(`   → ${match}`);
+        }
+        if (entry.truncated) {
+            console.log(chalk.yellow('   ⚠ stopped at the match limit'));
+        }
+    }
+}
+
+// 🩺 Check that a directory exists (or can be created) and is writable
+async function checkWritable(directory) {
+    await fs.mkdir(directory, { recursive: true });
+    await fs.access(directory, fsConstants.W_OK);
+    return directory;
+}
+
+// 🩺 doctor
+async function doctorCommand(options, command) {
+    const globals = command.optsWithGlobals();
+    applyColorOptions(globals);
+
+    const checks = [];
+    const check = async (name, probe) => {
+        try {
+            const { status = 'ok', detail } = await probe();
+            checks.push({ name, status, detail });
+        } catch (error) {
+            checks.push({ name, status: 'fail', detail: error.message });
+        }
+    };
+
+    await check('Node.js', () => {
+        const major = parseInt(process.versions.node, 10);
+        if (major < 14) {
+            return { status: 'fail', detail: `v${process.versions.node} (14 or later is required)` };
+        }
+        // Free space is read with fs.statfs, which arrived in 18.15
+        if (typeof fs.statfs !== 'function') {
+            return { status: 'warn', detail: `v${process.versions.node} (watch and --target-free need 18.15 or later)` };
+        }
+        return { detail: `v${process.versions.node} (14 or later is required)` };
+    });
+
+    await check('Platform', () => ({
+        status: ['win32', 'darwin', 'linux'].includes(os.platform()) ? 'ok' : 'fail',
+        detail: `${os.platform()} ${os.release()}`
+    }));
+
+    let cleanupOptions = null;
+    await check('Configuration', async () => {
+        const built = await buildCleanupOptions(globals, { quiet: true });
+        cleanupOptions = built.cleanupOptions;
+
+        const files = built.configManager.layers.filter(layer => layer.path);
+        let warnings = 0;
+        for (const layer of files) {
+            warnings += (await built.configManager.validateFile(layer.path)).warnings.length;
+        }
+
+        const detail = files.map(layer => layer.path).join(', ');
+        return warnings > 0
+            ? { status: 'warn', detail: `${detail}; ${warnings} warning(s), see ultra-clean config validate <file>` }
+            : { detail };
+    });
+
+    const securityDefaults = new SecurityManager().options;
+    const locations = cleanupOptions || {};
+    await check('Backup location', async () => ({ detail: await checkWritable(locations.backupLocation || securityDefaults.backupLocation) }));
+    await check('Log file', async () => ({ detail: await checkWritable(path.dirname(locations.logLocation || securityDefaults.logLocation)) }));
+    await check('Analytics location', async () => ({ detail: await checkWritable(locations.analyticsLocation || new AnalyticsManager().options.analyticsLocation) }));
+
+    await check('Custom paths', async () => {
+        const resolved = await resolveCustomPaths(cleanupOptions || {});
+        const problems = resolved
+            .filter(entry => entry.error || (entry.glob && entry.paths.length === 0))
+            .map(entry => `${entry.pattern}: ${entry.error || 'matched nothing'}`);
+        const summary = `${resolved.length} patterns, ${resolved.reduce((sum, entry) => sum + entry.paths.length, 0)} directories`;
+        return problems.length > 0
+            ? { status: 'warn', detail: `${summary}; ${problems.join('; ')}` }
+            : { detail: summary };
+    });
+
+    await check('Cleanup plugins', async () => {
+        const cleaner = new UltraSystemCleaner({ ...(cleanupOptions || {}), mode: 'deep' });
+        const warnings = [];
+        cleaner.on('log', ({ message, stream }) => {
+            if (stream === 'stderr') warnings.push(message);
+        });
+
+        const targets = Object.values(await cleaner.getCleanupPaths()).flat();
+        const plugins = cleaner.plugins.getPlugins();
+        const thirdParty = plugins.filter(plugin => plugin.source !== 'builtin').length;
+        const summary = `${plugins.length} plugins (${thirdParty} third-party), ${targets.length} targets`;
+        return warnings.length > 0
+            ? { status: 'warn', detail: `${summary}; ${warnings.join('; ')}` }
+            : { detail: summary };
+    });
+
+    await check('Running app detection', () => (new ProcessDetector().isSupported()
+        ? { detail: 'via /proc' }
+        : { status: 'warn', detail: `not available on ${os.platform()}, running apps are not detected` }));
+
+    await check('Open file detection', () => (new OpenFileDetector().isSupported()
+        ? { detail: 'via /proc' }
+        : { status: 'warn', detail: `not available on ${os.platform()}, files in use are not detected` }));
+
+    const failed = checks.some(entry => entry.status === 'fail');
+    process.exitCode = failed ? JsonReporter.EXIT_CODES.FAILURE : JsonReporter.EXIT_CODES.SUCCESS;
+
+    if (isMachineOutput(globals)) {
+        console.log(JSON.stringify({ version: JsonReporter.FORMAT_VERSION, success: !failed, checks, exitCode: process.exitCode }));
+        return;
+    }
+
+    const symbols = { ok: chalk.green('✔'), warn: chalk.yellow('⚠'), fail: chalk.red('✖') };
+    console.log(chalk.cyan('\n🩺 Ultra System Cleaner doctor\n'));
+    for (const entry of checks) {
+        console.log(`${symbols[entry.status]} ${chalk.white(entry.name)} ${chalk.gray(entry.detail || '')}`);
+    }
+    console.log(failed ? chalk.red('\n❌ Some checks failed') : chalk.green('\n✅ Ready to clean'));
+}
+
+// 🧵 Parse --jobs
+function parseJobs(value) {
+    const jobs = parseInt(value, 10);
+    if (!Number.isInteger(jobs) || jobs < 1) {
+        throw new InvalidArgumentError('Expected a positive number.');
+    }
+    return jobs;
+}
+
+// 🎯 --target-free takes a size or a share of the disk
+function parseTargetFree(value) {
+    try {
+        DiskWatcher.parseThreshold(value, 0);
+    } catch {
+        throw new InvalidArgumentError('Expected a size such as 20GB or a percentage such as 25%.');
+    }
+    return value;
+}
+
+// 🎚️ Options shared by the commands that select files: clean and scan
+function addSelectionOptions(command) {
+    return command
+        .option('-q, --quick', '⚡ Quick cleanup mode (default)')
+        .option('-d, --deep', '🔥 Deep cleanup mode')
+        .option('-p, --profile <name>', '🧰 Use a profile from the configuration (quick and deep are built in)')
+        .option('--older-than <days>', '⏳ Only remove files older than N days')
+        .option('--min-size <size>', '📏 Only remove files larger than size (e.g. 10MB)')
+        .option('--match <globs...>', '🎯 Only remove files matching these globs')
+        .addOption(new Option('--strategy <strategy>', '🧭 How files are removed')
+            .choices(['delete', 'trash', 'backup-then-delete']))
+        .addOption(new Option('--security-level <level>', '🔐 Path policy level')
+            .choices(['low', 'standard', 'high']))
+        .option('-j, --jobs <n>', '🧵 Number of targets cleaned in parallel', parseJobs);
+}
+
+// ⏪ `ultra-clean --quick` and the other flags from before the subcommands still mean `ultra-clean clean ...`
+function withLegacyClean(argv) {
+    const args = argv.slice(2);
+    const commands = program.commands.map(command => command.name());
+    const legacy = ['-q', '--quick', '-d', '--deep', '--dry-run'];
+
+    if (!args.some(arg => commands.includes(arg)) && args.some(arg => legacy.includes(arg))) {
+        return [...argv.slice(0, 2), 'clean', ...args];
+    }
+    return argv;
 }
 
 // 🎯 Main CLI Logic
 async function main() {
     program
+        .name('ultra-clean')
         .version('1.0.0')
-        .description('🔥 Ultra System Cleaner - Cross-platform system cleanup tool')
-        .option('-q, --quick', '⚡ Quick cleanup mode')
-        .option('-d, --deep', '🔥 Deep cleanup mode') 
-        .option('-i, --interactive', '🎯 Interactive mode (default)')
-        .option('--dry-run', '🧪 Preview mode - don\'t delete anything')
+        .description('🔥 Ultra System Cleaner - Cross-platform system cleanup tool\n\nRun without a command for the interactive menu.')
+        .option('-c, --config <path>', '📋 Use custom configuration file')
         .option('-v, --verbose', '📝 Verbose output')
         .option('-y, --yes', '✅ Skip confirmations')
         .option('--no-color', '🎨 Disable colors')
-        .option('-c, --config <path>', '📋 Use custom configuration file')
-        .option('--save-config <path>', '💾 Save current settings to config file')
-        .option('--no-backup', '🚫 Disable backup creation (less safe)')
+        .option('--json', '🤖 Print one JSON result instead of the terminal UI')
+        .option('--ndjson', '🤖 Stream one JSON event per line while running')
         .option('--no-logging', '🔇 Disable operation logging')
         .option('--verbose-logging', '📝 Enable verbose logging')
         .option('--no-analytics', '📊 Disable analytics tracking')
+        .addOption(new Option('-i, --interactive', '🎯 Interactive mode (default)').hideHelp())
+        // An unknown command is an error rather than a reason to open the menu
+        .allowExcessArguments(false)
+        .action(withErrorHandling(interactiveCommand));
+
+    addSelectionOptions(program
+        .command('clean')
+        .description('🧹 Clean the selected targets without prompting for a mode'))
+        .option('--dry-run', '🧪 Preview mode - don\'t delete anything')
+        .option('--no-backup', '🚫 Disable backup creation (less safe)')
         .option('--generate-report <path>', '📋 Generate analytics report to file (format from --export-format)')
         .option('--export-format <format>', '📄 Report format (json/csv/html)', 'json')
-        .option('--report-period <days>', '📅 Report period (7/30/all)', 'all')
-        .action(async (options) => {
-            try {
-                // Handle no-color option
-                if (options.noColor) {
-                    chalk.level = 0;
-                }
-
-                // Load configuration file
-                const configManager = new ConfigManager();
-                const config = await configManager.loadConfig(options.config);
-
-                let cleanupOptions = {
-                    verbose: options.verbose || false,
-                    dryRun: options.dryRun || false,
-                    skipConfirmation: options.yes || false,
-                    enableBackup: !options.noBackup,
-                    enableLogging: !options.noLogging,
-                    enableAnalytics: !options.noAnalytics,
-                    generateReport: options.generateReport || null,
-                    exportFormat: options.exportFormat || 'json'
-                };
-
-                // Override logging level if verbose-logging is specified
-                if (options.verboseLogging) {
-                    cleanupOptions.enableLogging = true;
-                    cleanupOptions.verbose = true;
-                }
-
-                // Merge configuration with CLI options
-                cleanupOptions = configManager.mergeOptions(cleanupOptions);
-
-                // Interactive mode by default if no specific mode chosen
-                if (!options.quick && !options.deep && !options.interactive) {
-                    cleanupOptions = await interactiveMode();
-                } else if (options.interactive || (!options.quick && !options.deep)) {
-                    cleanupOptions = await interactiveMode();
-                } else {
-                    displayHeader();
-
-                    if (options.quick) {
-                        cleanupOptions.mode = 'quick';
-                    } else if (options.deep) {
-                        cleanupOptions.mode = 'deep';
-                    }
-                }
-
-                // Save config if requested
-                if (options.saveConfig) {
-                    configManager.config = { ...config, ...cleanupOptions };
-                    await configManager.saveConfig(options.saveConfig);
-                    console.log(chalk.green(`✅ Configuration saved to: ${options.saveConfig}`));
-                    return;
-                }
-
-                // Run the cleaner
-                const cleaner = new UltraSystemCleaner(cleanupOptions);
-                await cleaner.run();
-                
-            } catch (error) {
-                console.error(chalk.red('\n❌ Error occurred:'), error.message);
-                if (options.verbose) {
-                    console.error(chalk.gray(error.stack));
-                }
-                process.exit(1);
-            }
-        });
+        .option('--save-config <path>', '💾 Save current settings to config file instead of cleaning')
+        .option('--scheduled', '🗓️  Clean the categories of the schedule section (used by schedule install)')
+        .option('--target-free <size>', '🎯 Clean in priority order only until this much is free (e.g. 20GB or 25%)', parseTargetFree)
+        .option('--target-mount <path>', '💽 Filesystem --target-free is measured on (default: your home directory)')
+        .action(withErrorHandling(cleanCommand));
+
+    addSelectionOptions(program
+        .command('scan')
+        .description('🔎 Scan targets and write a cleanup plan without deleting anything'))
+        .option('-o, --out <file>', '💾 Where to write the plan', 'ultra-cleaner-plan.json')
+        .action(withErrorHandling(scanCommand));
+
+    program
+        .command('apply <plan>')
+        .description('🧾 Remove exactly the files listed in a plan, skipping any that changed')
+        .option('--dry-run', '🧪 Preview what is still applicable')
+        .option('--no-backup', '🚫 Disable backup creation (less safe)')
+        .option('-j, --jobs <n>', '🧵 Number of targets cleaned in parallel', parseJobs)
+        .action(withErrorHandling(applyCommand));
 
-    program.parse();
+    program
+        .command('report')
+        .description('📊 Export the analytics collected over past cleanups')
+        .option('-o, --out <file>', '💾 Where to write the report (default: ultra-cleaner-report.<format> in global.reportLocation)')
+        .addOption(new Option('-f, --format <format>', '📄 Report format')
+            .choices(['json', 'csv', 'html'])
+            .default('json'))
+        .option('--period <days>', '📅 Only sessions from the last N days, or all', 'all')
+        .action(withErrorHandling(reportCommand));
+
+    const schedule = program
+        .command('schedule')
+        .description('🗓️  Run cleanups on the schedule section\'s times with a systemd user timer or cron');
+
+    schedule
+        .command('install')
+        .description('📥 Install or update the timer (a crontab entry without systemd)')
+        .action(withErrorHandling(scheduleInstallCommand));
+
+    schedule
+        .command('remove')
+        .description('🗑️  Remove the timer and crontab entry')
+        .action(withErrorHandling(scheduleRemoveCommand));
+
+    schedule
+        .command('status')
+        .description('📋 Show when the schedule runs next, when it last ran and the last result')
+        .action(withErrorHandling(scheduleStatusCommand));
+
+    program
+        .command('watch')
+        .description('👀 Watch free space and run a profile when it drops below watch.minFree')
+        .option('-p, --profile <name>', '🧰 Profile to run (default: watch.profile)')
+        .option('--dry-run', '🧪 Only preview what a low disk would clean')
+        .option('--once', '1️⃣  Check once, clean if needed and exit')
+        .action(withErrorHandling(watchCommand));
+
+    const backups = program
+        .command('backups')
+        .description('💾 List, restore and delete backups taken before cleanup');
+
+    backups
+        .command('list')
+        .description('📋 List backups')
+        .option('--session <id>', '🗂️  Only backups from this session')
+        .option('--since <date>', '📅 Only backups created after a date (ISO date or e.g. 7d)')
+        .option('--until <date>', '📅 Only backups created before a date (ISO date or e.g. 7d)')
+        .option('--path <path>', '📁 Only backups of this path (prefix or glob)')
+        .action(withErrorHandling(listBackupsCommand));
+
+    backups
+        .command('restore [id]')
+        .description('🔄 Restore one backup, or every backup from a session')
+        .option('--session <id>', '🗂️  Restore all backups from this session')
+        .action(withErrorHandling(restoreBackupsCommand));
+
+    backups
+        .command('delete [ids...]')
+        .description('🗑️  Delete backups')
+        .option('--session <id>', '🗂️  Delete all backups from this session')
+        .action(withErrorHandling(deleteBackupsCommand));
+
+    const config = program
+        .command('config')
+        .description('📋 Inspect and create configuration files');
+
+    config
+        .command('show')
+        .description('📋 Print the configuration in use and where it was loaded from')
+        .option('--resolved', '🧱 Annotate every value with the layer that set it')
+        .action(withErrorHandling(showConfigCommand));
+
+    config
+        .command('paths')
+        .description('🧭 Show storage locations and the directories each custom path matches')
+        .action(withErrorHandling(configPathsCommand));
+
+    config
+        .command('validate [file]')
+        .description('✅ Check a configuration file against the schema (default: the most specific file in use)')
+        .action(withErrorHandling(validateConfigCommand));
+
+    config
+        .command('init [path]')
+        .description('📝 Write the default configuration to a file (default: ./ultra-cleaner.json)')
+        .option('--force', '⚠️  Overwrite an existing file')
+        .action(withErrorHandling(initConfigCommand));
+
+    program
+        .command('doctor')
+        .description('🩺 Check that configuration, storage locations and plugins are usable')
+        .action(withErrorHandling(doctorCommand));
+
+    program.parse(withLegacyClean(process.argv));
 }
 
 // Handle uncaught exceptions
@@ -204,10 +1326,12 @@ process.on('unhandledRejection', (error) => {
     process.exit(1);
 });
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-    console.log(chalk.yellow('\n\n👋 Cleanup interrupted by user. Exiting safely...'));
-    process.exit(0);
-});
+// Graceful shutdown; watch replaces this with its own handler
+function onInterrupt() {
+    console.error(chalk.yellow('\n\n👋 Cleanup interrupted by user. Exiting safely...'));
+    process.exit(JsonReporter.EXIT_CODES.INTERRUPTED);
+}
+
+process.on('SIGINT', onInterrupt);
 
 main();
\ No newline at end of file
@@ -22,6 +22,7 @@ class AnalyticsManager {
                 totalSessions: 0,
                 totalFilesCleaned: 0,
                 totalSpaceRecovered: 0,
+                totalSpaceTrashed: 0,
                 averageSessionSize: 0,
                 mostActiveDay: null,
                 favoriteCleanupMode: null
@@ -35,6 +36,7 @@ class AnalyticsManager {
             summary: {
                 filesCleaned: 0,
                 spaceRecovered: 0,
+                spaceTrashed: 0,
                 areasProcessed: 0,
                 errors: 0,
                 duration: 0
@@ -42,6 +44,15 @@ class AnalyticsManager {
         };
     }
 
+    // 🖨️ Console output, routed through the caller's reporter when one is set
+    print(message, stream) {
+        if (this.options.output) {
+            this.options.output(message, stream);
+        } else {
+            stream.write(`${message}\n`);
+        }
+    }
+
     // 🔢 Generate unique session ID
     generateSessionId() {
         return `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -65,10 +76,10 @@ class AnalyticsManager {
                 await this.cleanupOldData();
             }
 
-            console.log(chalk.gray(`📊 Analytics system initialized: ${this.options.analyticsLocation}`));
+            this.print(chalk.gray(`📊 Analytics system initialized: ${this.options.analyticsLocation}`), process.stdout);
 
         } catch (error) {
-            console.warn(chalk.yellow(`⚠️  Failed to initialize analytics: ${error.message}`));
+            this.print(chalk.yellow(`⚠️  Failed to initialize analytics: ${error.message}`), process.stderr);
         }
     }
 
@@ -97,6 +108,7 @@ class AnalyticsManager {
                     totalSessions: 0,
                     totalFilesCleaned: 0,
                     totalSpaceRecovered: 0,
+                    totalSpaceTrashed: 0,
                     averageSessionSize: 0,
                     mostActiveDay: null,
                     favoriteCleanupMode: null
@@ -118,7 +130,10 @@ class AnalyticsManager {
             category: operation.category || 'general',
             description: operation.description || '',
             filesAffected: operation.files || 0,
-            sizeRecovered: operation.size || 0,
+            // Moving files to the trash frees nothing until the trash is emptied
+            sizeRecovered: operation.strategy === 'trash' ? 0 : operation.size || 0,
+            sizeTrashed: operation.strategy === 'trash' ? operation.size || 0 : 0,
+            strategy: operation.strategy || null,
             duration: operation.duration || 0,
             success: operation.success !== false,
             error: operation.error || null,
@@ -131,15 +146,17 @@ class AnalyticsManager {
         if (operationData.success) {
             this.currentSession.summary.filesCleaned += operationData.filesAffected;
             this.currentSession.summary.spaceRecovered += operationData.sizeRecovered;
+            this.currentSession.summary.spaceTrashed += operationData.sizeTrashed;
             this.currentSession.summary.areasProcessed++;
         } else {
             this.currentSession.summary.errors++;
         }
     }
 
-    // ⏱️ Track session timing
-    startSession() {
+    // ⏱️ Track session timing, with how the run was started (e.g. { mode: 'scheduled', dryRun: true })
+    startSession(details = {}) {
         this.currentSession.startTime = Date.now();
+        Object.assign(this.currentSession, details);
     }
 
     endSession() {
@@ -171,6 +188,7 @@ class AnalyticsManager {
             summary: {
                 filesCleaned: 0,
                 spaceRecovered: 0,
+                spaceTrashed: 0,
                 areasProcessed: 0,
                 errors: 0,
                 duration: 0
@@ -178,6 +196,12 @@ class AnalyticsManager {
         };
     }
 
+    // 🕘 Most recent recorded session, optionally only those started in a mode such as 'scheduled'
+    getLastSession(mode = null) {
+        const sessions = this.analyticsData.sessions.filter(session => mode === null || session.mode === mode);
+        return sessions.length > 0 ? sessions[sessions.length - 1] : null;
+    }
+
     // 📊 Update summary statistics
     updateSummaryStats() {
         const sessions = this.analyticsData.sessions;
@@ -188,6 +212,8 @@ class AnalyticsManager {
         if (sessions.length > 0) {
             summary.totalFilesCleaned = sessions.reduce((sum, s) => sum + s.summary.filesCleaned, 0);
             summary.totalSpaceRecovered = sessions.reduce((sum, s) => sum + s.summary.spaceRecovered, 0);
+            // Sessions recorded before trashed space was tracked have none
+            summary.totalSpaceTrashed = sessions.reduce((sum, s) => sum + (s.summary.spaceTrashed || 0), 0);
             summary.averageSessionSize = summary.totalSpaceRecovered / sessions.length;
 
             // Find most active day
@@ -212,7 +238,7 @@ class AnalyticsManager {
             const analyticsPath = path.join(this.options.analyticsLocation, 'analytics.json');
             await fs.writeFile(analyticsPath, JSON.stringify(this.analyticsData, null, 2));
         } catch (error) {
-            console.warn(chalk.yellow(`⚠️  Failed to save analytics: ${error.message}`));
+            this.print(chalk.yellow(`⚠️  Failed to save analytics: ${error.message}`), process.stderr);
         }
     }
 
@@ -231,7 +257,7 @@ class AnalyticsManager {
             await this.saveAnalyticsData();
 
         } catch (error) {
-            console.warn(chalk.yellow(`⚠️  Failed to cleanup old analytics: ${error.message}`));
+            this.print(chalk.yellow(`⚠️  Failed to cleanup old analytics: ${error.message}`), process.stderr);
         }
     }
 
@@ -493,14 +519,15 @@ class AnalyticsManager {
     }
 
     // 🎯 Export analytics data
-    async exportAnalytics(targetPath, format = 'json') {
+    async exportAnalytics(targetPath, format = 'json', options = {}) {
         try {
-            const report = await this.generateReport(format);
+            const report = await this.generateReport(format, options);
+            await fs.mkdir(path.dirname(targetPath), { recursive: true });
             await fs.writeFile(targetPath, report);
-            console.log(chalk.green(`✅ Analytics exported to: ${targetPath}`));
+            this.print(chalk.green(`✅ Analytics exported to: ${targetPath}`), process.stdout);
             return targetPath;
         } catch (error) {
-            console.error(chalk.red(`❌ Failed to export analytics: ${error.message}`));
+            this.print(chalk.red(`❌ Failed to export analytics: ${error.message}`), process.stderr);
             return null;
         }
     }
@@ -0,0 +1,359 @@
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const tar = require('tar');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Encrypted archive layout: MAGIC | salt | iv | AES-256-GCM ciphertext | auth tag
+const ENCRYPTION_MAGIC = Buffer.from('USCENC01');
+const SALT_LENGTH = 16;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = ENCRYPTION_MAGIC.length + SALT_LENGTH + IV_LENGTH;
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+// 🔐 SHA-256 of a file on disk
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+// 🔑 Derive an AES-256 key from a passphrase
+function deriveKey(passphrase, salt) {
+    if (!passphrase) {
+        throw new Error('Backup encryption requires a passphrase (set ULTRA_CLEANER_BACKUP_PASSPHRASE)');
+    }
+    return scrypt(passphrase, salt, 32, SCRYPT_OPTIONS);
+}
+
+// 🚰 Pipe a stream into a target and wait for the target to finish
+function pipeInto(source, target, doneEvent) {
+    return new Promise((resolve, reject) => {
+        source.on('error', reject);
+        target.on('error', reject);
+        target.on(doneEvent, resolve);
+        source.pipe(target);
+    });
+}
+
+// 🔒 Encrypt a stream into an archive file
+async function writeEncrypted(source, archivePath, passphrase) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const header = Buffer.concat([ENCRYPTION_MAGIC, salt, iv]);
+    const key = await deriveKey(passphrase, salt);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(header);
+
+    const output = fs.createWriteStream(archivePath, { mode: 0o600 });
+    output.write(header);
+
+    await new Promise((resolve, reject) => {
+        source.on('error', reject);
+        cipher.on('error', reject);
+        output.on('error', reject);
+        output.on('finish', resolve);
+        // The auth tag is only known once all plaintext went through the cipher
+        cipher.on('end', () => output.end(cipher.getAuthTag()));
+        source.pipe(cipher).pipe(output, { end: false });
+    });
+}
+
+// 🔓 Open an archive as a plaintext stream, decrypting when needed
+async function openArchiveStream(archivePath, { encrypted = false, passphrase = null } = {}) {
+    if (!encrypted) {
+        return fs.createReadStream(archivePath);
+    }
+
+    const handle = await fsp.open(archivePath, 'r');
+    let header;
+    let tag;
+    try {
+        const { size } = await handle.stat();
+        if (size < HEADER_LENGTH + TAG_LENGTH) {
+            throw new Error('Encrypted archive is truncated');
+        }
+
+        header = Buffer.alloc(HEADER_LENGTH);
+        tag = Buffer.alloc(TAG_LENGTH);
+        await handle.read(header, 0, HEADER_LENGTH, 0);
+        await handle.read(tag, 0, TAG_LENGTH, size - TAG_LENGTH);
+
+        if (!header.subarray(0, ENCRYPTION_MAGIC.length).equals(ENCRYPTION_MAGIC)) {
+            throw new Error('Not an encrypted backup archive');
+        }
+
+        const salt = header.subarray(ENCRYPTION_MAGIC.length, ENCRYPTION_MAGIC.length + SALT_LENGTH);
+        const iv = header.subarray(ENCRYPTION_MAGIC.length + SALT_LENGTH);
+        const key = await deriveKey(passphrase, salt);
+
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+        decipher.setAAD(header);
+        decipher.setAuthTag(tag);
+
+        const ciphertext = fs.createReadStream(archivePath, {
+            start: HEADER_LENGTH,
+            end: size - TAG_LENGTH - 1
+        });
+
+        // GCM only authenticates at the very end; surface that failure clearly
+        const plaintext = ciphertext.pipe(decipher);
+        ciphertext.on('error', error => plaintext.destroy(error));
+        return plaintext.on('error', (error) => {
+            if (/authenticate/i.test(error.message)) {
+                error.message = 'Backup authentication failed: wrong passphrase or tampered archive';
+            }
+        });
+    } finally {
+        await handle.close();
+    }
+}
+
+// 🔁 Archive paths always use forward slashes
+function toArchivePath(relativePath) {
+    return relativePath.split(path.sep).join('/');
+}
+
+// 📋 Describe a single filesystem entry for the manifest
+async function describeEntry(root, relativePath) {
+    const fullPath = path.join(root, relativePath);
+    const stat = await fsp.lstat(fullPath);
+    const entry = {
+        path: toArchivePath(relativePath),
+        mode: stat.mode & 0o7777,
+        mtimeMs: stat.mtimeMs,
+        atimeMs: stat.atimeMs
+    };
+
+    if (stat.isDirectory()) {
+        return { ...entry, type: 'directory' };
+    }
+    if (stat.isSymbolicLink()) {
+        return { ...entry, type: 'symlink', target: await fsp.readlink(fullPath) };
+    }
+    if (stat.isFile()) {
+        return { ...entry, type: 'file', size: stat.size, sha256: await hashFile(fullPath) };
+    }
+
+    // Sockets, FIFOs and devices can't be restored meaningfully
+    return null;
+}
+
+// 📂 List every entry below a root directory
+async function listTree(root) {
+    const relativePaths = [];
+
+    const walk = async (relativeDir) => {
+        const items = await fsp.readdir(path.join(root, relativeDir), { withFileTypes: true });
+        for (const item of items) {
+            const relativePath = relativeDir ? path.join(relativeDir, item.name) : item.name;
+            relativePaths.push(relativePath);
+            if (item.isDirectory()) {
+                await walk(relativePath);
+            }
+        }
+    };
+
+    await walk('');
+    return relativePaths;
+}
+
+// 📁 Add the parent directories of each file so their metadata is kept too
+function withParentDirectories(relativePaths) {
+    const all = new Set();
+
+    for (const relativePath of relativePaths) {
+        let parent = path.dirname(relativePath);
+        while (parent && parent !== '.' && !all.has(parent)) {
+            all.add(parent);
+            parent = path.dirname(parent);
+        }
+        all.add(relativePath);
+    }
+
+    return Array.from(all);
+}
+
+// 📦 Write a tar archive of selected entries and return its manifest data
+async function createBackupArchive({ root, files = null, archivePath, compression = true, encryption = null }) {
+    const relativePaths = files
+        ? withParentDirectories(files.map(file => path.relative(root, file)))
+        : await listTree(root);
+
+    const entries = [];
+    for (const relativePath of relativePaths.sort()) {
+        try {
+            const entry = await describeEntry(root, relativePath);
+            if (entry) entries.push(entry);
+        } catch (error) {
+            // Entry vanished between listing and archiving
+        }
+    }
+
+    const packOptions = {
+        gzip: compression,
+        cwd: root,
+        portable: true,
+        noDirRecurse: true,
+        // A cache that never remembers, so a second link to a file is stored as data like the first
+        // and checks against the manifest digest instead of becoming a Link entry without content
+        linkCache: { has: () => false, get: () => undefined, set: () => {} }
+    };
+    const entryPaths = entries.map(entry => entry.path);
+
+    if (encryption) {
+        // Stream straight into the cipher so plaintext never touches the disk
+        await writeEncrypted(tar.c(packOptions, entryPaths), archivePath, encryption.passphrase);
+    } else {
+        await tar.c({ ...packOptions, file: archivePath }, entryPaths);
+    }
+
+    const rootStat = await fsp.stat(root);
+
+    return {
+        entries,
+        rootEntry: {
+            mode: rootStat.mode & 0o7777,
+            mtimeMs: rootStat.mtimeMs,
+            atimeMs: rootStat.atimeMs
+        },
+        archiveSha256: await hashFile(archivePath)
+    };
+}
+
+// 🔍 Hash every file stored inside an archive
+async function readArchiveDigests(archivePath, streamOptions) {
+    const digests = new Map();
+    const pending = [];
+
+    const parser = tar.t({
+        onentry: (entry) => {
+            const entryPath = entry.path.replace(/\/$/, '');
+            if (entry.type !== 'File') {
+                digests.set(entryPath, null);
+                entry.resume();
+                return;
+            }
+
+            const hash = crypto.createHash('sha256');
+            pending.push(new Promise((resolve) => {
+                entry.on('data', chunk => hash.update(chunk));
+                entry.on('end', () => {
+                    digests.set(entryPath, hash.digest('hex'));
+                    resolve();
+                });
+            }));
+        }
+    });
+
+    await pipeInto(await openArchiveStream(archivePath, streamOptions), parser, 'end');
+    await Promise.all(pending);
+    return digests;
+}
+
+// ✅ Verify an archive against its manifest, throwing on any mismatch
+async function verifyBackupArchive(archivePath, manifest, { passphrase = null } = {}) {
+    const archiveSha256 = await hashFile(archivePath);
+    if (archiveSha256 !== manifest.archiveSha256) {
+        throw new Error(`Archive checksum mismatch for ${path.basename(archivePath)}`);
+    }
+
+    // Authenticate the ciphertext before handing any plaintext to the parser
+    if (manifest.encrypted) {
+        const plaintext = await openArchiveStream(archivePath, { encrypted: true, passphrase });
+        await new Promise((resolve, reject) => {
+            plaintext.on('error', reject);
+            plaintext.on('end', resolve);
+            plaintext.resume();
+        });
+    }
+
+    const digests = await readArchiveDigests(archivePath, {
+        encrypted: manifest.encrypted,
+        passphrase
+    });
+    for (const entry of manifest.entries) {
+        if (!digests.has(entry.path)) {
+            throw new Error(`Archive is missing entry: ${entry.path}`);
+        }
+        if (entry.type === 'file' && digests.get(entry.path) !== entry.sha256) {
+            throw new Error(`Checksum mismatch for entry: ${entry.path}`);
+        }
+    }
+
+    return true;
+}
+
+// 🔄 Extract an archive and restore exact modes and timestamps
+async function restoreBackupArchive(archivePath, manifest, { verify = true, passphrase = null } = {}) {
+    const root = manifest.root;
+
+    // Encrypted archives are always authenticated before anything is extracted
+    if (verify || manifest.encrypted) {
+        await verifyBackupArchive(archivePath, manifest, { passphrase });
+    }
+
+    await fsp.mkdir(root, { recursive: true });
+
+    const unpacker = tar.x({
+        cwd: root,
+        preserveOwner: false
+    });
+    const source = await openArchiveStream(archivePath, { encrypted: manifest.encrypted, passphrase });
+    await pipeInto(source, unpacker, 'close');
+
+    const toSeconds = ms => ms / 1000;
+
+    // Files and links first: writing them touches the parent directory mtimes
+    for (const entry of manifest.entries.filter(e => e.type !== 'directory')) {
+        const fullPath = path.join(root, entry.path);
+        if (entry.type === 'symlink') {
+            if (fsp.lutimes) {
+                await fsp.lutimes(fullPath, toSeconds(entry.atimeMs), toSeconds(entry.mtimeMs));
+            }
+            continue;
+        }
+
+        // Verify before touching timestamps, reading the file updates atime
+        if (verify && await hashFile(fullPath) !== entry.sha256) {
+            throw new Error(`Restored file does not match backup: ${entry.path}`);
+        }
+
+        await fsp.chmod(fullPath, entry.mode);
+        await fsp.utimes(fullPath, toSeconds(entry.atimeMs), toSeconds(entry.mtimeMs));
+    }
+
+    // Deepest directories first so parents keep their own timestamps
+    const directories = manifest.entries
+        .filter(e => e.type === 'directory')
+        .sort((a, b) => b.path.split('/').length - a.path.split('/').length);
+
+    for (const entry of directories) {
+        const fullPath = path.join(root, entry.path);
+        await fsp.chmod(fullPath, entry.mode);
+        await fsp.utimes(fullPath, toSeconds(entry.atimeMs), toSeconds(entry.mtimeMs));
+    }
+
+    if (manifest.rootEntry) {
+        await fsp.chmod(root, manifest.rootEntry.mode);
+        await fsp.utimes(root, toSeconds(manifest.rootEntry.atimeMs), toSeconds(manifest.rootEntry.mtimeMs));
+    }
+
+    return manifest.entries.length;
+}
+
+module.exports = {
+    hashFile,
+    createBackupArchive,
+    verifyBackupArchive,
+    restoreBackupArchive
+};
@@ -1,347 +1,1053 @@
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
+const EventEmitter = require('events');
 const chalk = require('chalk');
-const ora = require('ora');
 const bytes = require('bytes');
-const { rimraf } = require('rimraf');
-const boxen = require('boxen');
-const gradient = require('gradient-string');
 const SecurityManager = require('./security-manager');
 const AnalyticsManager = require('./analytics-manager');
+const FileFilter = require('./file-filter');
+const { toPosixPath } = require('./pattern-matcher');
+const TrashBin = require('./trash-bin');
+const JobPool = require('./job-pool');
+const TargetTask = require('./target-task');
+const DiskScanner = require('./disk-scanner');
+const OpenFileDetector = require('./open-files');
+const ProcessDetector = require('./process-detector');
+const PluginRegistry = require('./plugin-registry');
+const PathResolver = require('./path-resolver');
+const SpaceGoal = require('./space-goal');
+const builtinPlugins = require('./plugins');
 
-class UltraSystemCleaner {
+const DELETION_STRATEGIES = ['delete', 'trash', 'backup-then-delete'];
+const RUNNING_APP_BEHAVIORS = ['skip', 'warn', 'prompt', 'force'];
+const PLAN_VERSION = 1;
+
+class UltraSystemCleaner extends EventEmitter {
     constructor(options = {}) {
+        super();
+
         this.options = {
             dryRun: false,
             verbose: false,
             mode: 'interactive',
+            // What started an unattended run, e.g. the watch mode's low disk reading; kept with the analytics session
+            trigger: null,
             customAreas: null,
+            // Stop once this much is free on targetMount (default: the home directory's filesystem):
+            // bytes, a size such as "20GB" or a share of the disk such as "25%"
+            targetFree: null,
+            targetMount: null,
+            // Category priorities from the configuration, the order targets are cleaned in for targetFree
+            categoryPriorities: null,
             skipConfirmation: false,
             enableBackup: true,
             enableLogging: true,
             enableAnalytics: true,
+            backupCompression: true,
+            verifyBackupIntegrity: true,
+            encryptBackups: false,
+            backupPassphrase: null,
+            maxBackupSize: null,
+            backupRetentionDays: null,
+            backupAutoCleanup: true,
+            strategy: null,
+            categoryStrategies: null,
+            // Per area, false turns backup-then-delete into a plain delete
+            categoryBackups: null,
             generateReport: null,
             exportFormat: 'json',
+            // Where backups, the security log and analytics live; null keeps each manager's default
+            backupLocation: null,
+            logLocation: null,
+            analyticsLocation: null,
+            filters: null,
+            categoryFilters: null,
+            customPaths: [],
+            excludePatterns: null,
+            includePatterns: null,
+            parallel: true,
+            maxParallelJobs: 4,
+            scanConcurrency: 32,
+            scanCacheSeconds: 300,
+            securityLevel: 'standard',
+            blockSystemPaths: null,
+            allowedPathsOnly: false,
+            allowedPaths: [],
+            openFiles: 'skip',
+            runningApps: 'skip',
+            // async (target, running) => boolean, asked before cleaning a running app's cache in prompt mode
+            confirmRunningApp: null,
+            pluginModules: [],
+            pluginBaseDir: process.cwd(),
+            pluginSearchPaths: null,
+            discoverPlugins: false,
+            disabledPlugins: [],
+            // e.g. a ConsoleReporter; without one the cleaner only emits events
+            reporter: null,
             ...options
         };
 
+        if (!RUNNING_APP_BEHAVIORS.includes(this.options.runningApps)) {
+            throw new Error(`Unknown running app behavior: ${this.options.runningApps} (expected ${RUNNING_APP_BEHAVIORS.join(', ')})`);
+        }
+
+        // Outcomes of the current session, returned by run() and applyPlan()
+        this.results = [];
+        this.errors = [];
+        this.taskSequence = 0;
+        // Outcome of a targetFree run
+        this.goal = null;
+
+        // Backup budget reservations and catalog writes must not interleave
+        this.backupLock = Promise.resolve();
+
+        // Expands ~, environment variables and globs in configured paths
+        this.paths = new PathResolver();
+        this.customTargets = null;
+
         // Initialize security manager
         this.securityManager = new SecurityManager({
             enableBackup: this.options.enableBackup,
             enableLogging: this.options.enableLogging,
-            verbose: this.options.verbose
+            compression: this.options.backupCompression,
+            verifyIntegrity: this.options.verifyBackupIntegrity,
+            encrypt: this.options.encryptBackups,
+            ...(this.options.backupPassphrase ? { passphrase: this.options.backupPassphrase } : {}),
+            ...(this.options.maxBackupSize ? { maxBackupSize: this.options.maxBackupSize } : {}),
+            ...(this.options.backupRetentionDays ? { retentionDays: this.options.backupRetentionDays } : {}),
+            autoCleanup: this.options.backupAutoCleanup,
+            securityLevel: this.options.securityLevel,
+            blockSystemPaths: this.options.blockSystemPaths,
+            allowedPathsOnly: this.options.allowedPathsOnly,
+            allowedPaths: (this.options.allowedPaths || []).map(allowed => this.paths.expand(allowed)),
+            ...(this.options.backupLocation ? { backupLocation: this.paths.resolvePath(this.options.backupLocation) } : {}),
+            ...(this.options.logLocation ? { logLocation: this.paths.resolvePath(this.options.logLocation) } : {}),
+            verbose: this.options.verbose,
+            output: (message, stream) => this.print(message, stream === process.stderr ? 'stderr' : 'stdout')
+        });
+
+        this.trashBin = new TrashBin();
+        this.openFiles = new OpenFileDetector();
+        this.processes = new ProcessDetector();
+
+        // Answers to the running app prompt, by target path
+        this.appDecisions = new Map();
+
+        // Every cleanup target comes from a plugin, built-in ones first
+        this.plugins = new PluginRegistry({ disabled: this.options.disabledPlugins }).register(builtinPlugins);
+        this.pluginsLoaded = false;
+        this.detectedTargets = null;
+
+        // Files held open during their target, retried once every target is done
+        this.deferred = [];
+
+        // Shared by every target so the concurrency limit holds for the whole run
+        this.scanner = new DiskScanner({
+            concurrency: this.options.scanConcurrency,
+            cacheTtlMs: this.options.scanCacheSeconds * 1000
         });
 
         // Initialize analytics manager
         this.analyticsManager = new AnalyticsManager({
             enableAnalytics: this.options.enableAnalytics,
-            verbose: this.options.verbose
+            ...(this.options.analyticsLocation ? { analyticsLocation: this.paths.resolvePath(this.options.analyticsLocation) } : {}),
+            verbose: this.options.verbose,
+            output: (message, stream) => this.print(message, stream === process.stderr ? 'stderr' : 'stdout')
         });
         
         this.stats = {
             totalCleaned: 0,
+            totalTrashed: 0,
             totalFiles: 0,
             areasProcessed: 0,
             startTime: Date.now()
         };
+
+        if (this.options.reporter) {
+            this.options.reporter.attach(this);
+        }
+    }
+
+    // 📝 Hand a message to whichever reporter is listening
+    print(message, stream = 'stdout') {
+        this.emit('log', { message, stream });
     }
 
-    // 🎨 Beautiful progress display
-    createSpinner(text, emoji = '🚀') {
-        return ora({
-            text: `${emoji} ${text}`,
-            spinner: 'dots12',
-            color: 'cyan'
+    // 🎯 Task handle for one target; its outcome is reported as target:done
+    createTask(target, area = target.area || target.category) {
+        return new TargetTask(this, {
+            id: ++this.taskSequence,
+            path: target.path,
+            description: target.description,
+            category: target.category,
+            area
         });
     }
 
-    // 📁 Calculate folder size with progress
-    async getFolderSize(folderPath, showProgress = true) {
-        const spinner = showProgress ? this.createSpinner(`Calculating size: ${path.basename(folderPath)}`, '📁') : null;
-        
+    // ▶️ Run a target's worker and report its outcome
+    async runTask(task, worker) {
+        task.start();
+        const result = (await worker(task)) || {};
+
+        const statuses = {
+            success: this.options.dryRun ? 'dry-run' : 'cleaned',
+            error: 'failed',
+            warning: 'skipped',
+            info: 'skipped'
+        };
+        const event = task.done(result, statuses[task.outcome?.level] || 'done');
+        this.results.push(event);
+        return result;
+    }
+
+    // 📁 Calculate folder size
+    async getFolderSize(folderPath) {
         try {
-            if (spinner) spinner.start();
-            
-            let totalSize = 0;
-            let fileCount = 0;
-            
-            const calculateRecursive = async (currentPath) => {
-                try {
-                    const items = await fs.readdir(currentPath, { withFileTypes: true });
-                    
-                    for (const item of items) {
-                        const fullPath = path.join(currentPath, item.name);
-                        
-                        if (item.isDirectory()) {
-                            const subResult = await calculateRecursive(fullPath);
-                            totalSize += subResult.size;
-                            fileCount += subResult.count;
-                        } else {
-                            try {
-                                const stat = await fs.stat(fullPath);
-                                totalSize += stat.size;
-                                fileCount++;
-                            } catch (err) {
-                                // Skip permission errors
-                            }
-                        }
-                    }
-                } catch (err) {
-                    // Skip permission errors
+            const { size, allocated, count, hardlinks } = await this.scanner.scan(folderPath);
+            return { size, allocated, count, hardlinks };
+        } catch (error) {
+            return { size: 0, allocated: 0, count: 0, hardlinks: 0 };
+        }
+    }
+
+    // 🔎 Collect files that qualify for removal under a target
+    async collectFiles(rootPath, filter, { recursive = true } = {}) {
+        return this.scanner.scan(rootPath, { filter, recursive });
+    }
+
+    // 🧹 Remove the selected files, leaving the directory structure intact
+    async removeFiles(files, strategy = 'delete', root = null, onProgress = null) {
+        const removed = { size: 0, count: 0, failed: 0, unsafe: [] };
+
+        // Re-check containment right before removal: a parent may have been swapped for a symlink or mount
+        if (root) {
+            const resolvedDirs = new Map();
+            const checked = await Promise.all(files.map(async file => ({
+                file,
+                reason: await this.scanner.isContained(file.path, root, resolvedDirs)
+            })));
+
+            files = [];
+            for (const { file, reason } of checked) {
+                if (!reason) {
+                    files.push(file);
+                } else if (reason === 'missing') {
+                    removed.failed++;
+                } else {
+                    removed.unsafe.push({ path: file.path, reason });
                 }
-                
-                return { size: totalSize, count: fileCount };
-            };
-            
-            const result = await calculateRecursive(folderPath);
-            
-            if (spinner) {
-                spinner.succeed(chalk.green(`📁 ${path.basename(folderPath)}: ${result.count} files, ${bytes(result.size)}`));
             }
-            
-            return result;
-            
-        } catch (error) {
-            if (spinner) {
-                spinner.fail(chalk.yellow(`⚠️  Could not calculate: ${path.basename(folderPath)}`));
+        }
+
+        // Further links to an already counted inode free no space of their own
+        const freed = file => (file.hardlink ? 0 : file.size);
+
+        if (strategy === 'trash') {
+            const sizes = new Map(files.map(file => [path.resolve(file.path), freed(file)]));
+            const { trashed, failed } = await this.trashBin.trashFiles(files.map(file => file.path));
+
+            for (const entry of trashed) {
+                removed.size += sizes.get(path.resolve(entry.path)) || 0;
+                removed.count++;
             }
-            return { size: 0, count: 0 };
+            removed.failed += failed.length;
+            if (onProgress) onProgress({ done: files.length, total: files.length, size: removed.size });
+            return removed;
         }
+
+        for (const [index, file] of files.entries()) {
+            try {
+                await fs.unlink(file.path);
+                removed.size += freed(file);
+                removed.count++;
+            } catch (err) {
+                removed.failed++;
+            }
+
+            if (onProgress && ((index + 1) % 100 === 0 || index + 1 === files.length)) {
+                onProgress({ done: index + 1, total: files.length, size: removed.size });
+            }
+        }
+
+        return removed;
     }
 
-    // 🗑️ Clean path with beautiful progress
-    async cleanPath(targetPath, description, category = 'general') {
-        const emoji = this.getCategoryEmoji(category);
-        const spinner = this.createSpinner(description, emoji);
+    // 🎚️ Resolve file filter rules for a target
+    resolveFilters(area, pathInfo = {}) {
+        const categoryFilters = this.options.categoryFilters?.[area];
+        const rules = FileFilter.mergeRules(pathInfo.filters, categoryFilters, this.options.filters);
 
-        try {
-            // Security validation
+        const excludePatterns = this.options.excludePatterns || {};
+        rules.exclude = [
+            ...(excludePatterns.global || []),
+            ...(excludePatterns.perCategory?.[area] || []),
+            ...(pathInfo.excludePatterns || [])
+        ];
+        rules.include = [...(this.options.includePatterns?.global || [])];
+
+        return rules;
+    }
+
+    // 🎯 Resolve per-target cleanup settings
+    resolveTargetOptions(area, pathInfo = {}) {
+        return {
+            filters: this.resolveFilters(area, pathInfo),
+            recursive: pathInfo.recursive !== false,
+            validation: pathInfo.validation !== false,
+            strategy: this.resolveStrategy(area, pathInfo),
+            securityLevel: pathInfo.securityLevel || null,
+            processes: pathInfo.processes || [],
+            plugin: pathInfo.plugin || null,
+            risk: pathInfo.risk || null
+        };
+    }
+
+    // 🧭 Pick the deletion strategy for a target: CLI, then category, then target, then default
+    resolveStrategy(area, pathInfo = {}) {
+        const strategy = this.options.strategy ||
+            this.options.categoryStrategies?.[area] ||
+            pathInfo.strategy ||
+            (this.options.enableBackup ? 'backup-then-delete' : 'delete');
+
+        if (!DELETION_STRATEGIES.includes(strategy)) {
+            throw new Error(`Unknown deletion strategy: ${strategy}`);
+        }
+
+        // Backups disabled globally, for this area or for this target turn backup-then-delete into a plain delete
+        if (strategy === 'backup-then-delete' &&
+            (!this.options.enableBackup || this.options.categoryBackups?.[area] === false || pathInfo.backup === false)) {
+            return 'delete';
+        }
+
+        return strategy;
+    }
+
+    // 🧩 Build cleanup targets from configured custom paths, one per directory a pattern matches
+    async getCustomTargets() {
+        if (this.customTargets) {
+            return this.customTargets;
+        }
+
+        const targets = {};
+        // Overlapping patterns such as ~/a/* and ~/a/** must not clean a directory twice
+        const seen = new Set();
+
+        for (const group of this.options.customPaths || []) {
+            const area = group.category || 'user';
+            targets[area] = targets[area] || [];
+
+            for (const entry of group.paths || []) {
+                const source = `customPaths:${group.name}`;
+                const resolved = await this.paths.resolve(entry.path);
+                this.emit('paths:resolved', { source, ...resolved });
+
+                for (const match of resolved.paths.filter(candidate => !seen.has(candidate))) {
+                    seen.add(match);
+                    const description = entry.description || entry.path;
+                    targets[area].push({
+                        path: match,
+                        description: resolved.glob ? `${description} (${match})` : description,
+                        category: area,
+                        source,
+                        securityLevel: entry.securityLevel || group.securityLevel,
+                        processes: entry.processes || group.processes,
+                        recursive: entry.recursive,
+                        validation: entry.validation,
+                        backup: entry.backup !== undefined ? entry.backup : group.backup,
+                        excludePatterns: entry.excludePatterns,
+                        filters: entry.filters
+                    });
+                }
+            }
+        }
+
+        this.customTargets = targets;
+        return targets;
+    }
+
+    // 🔎 Validate a target and select the files that qualify for removal
+    async selectTarget(targetPath, { filters = {}, recursive = true, validation = true, strategy = 'delete', securityLevel = null, processes = [], plugin = null } = {}) {
+        // Path policy applies even to targets that opt out of validation
+        const policy = await this.securityManager.checkPathPolicy(targetPath, { level: securityLevel });
+        if (!policy.allowed) {
+            return { status: 'blocked', reason: policy.reason };
+        }
+
+        const exists = await fs.access(targetPath).then(() => true).catch(() => false);
+
+        if (!exists) {
+            return { status: 'not-found' };
+        }
+
+        // Never pull a cache out from under the app that is using it
+        const apps = await this.guardRunningApps(targetPath, processes);
+        if (apps.skip) {
+            return { status: 'running', running: apps.running };
+        }
+        if (apps.guarded.length > 0) {
+            filters = {
+                ...filters,
+                exclude: [
+                    ...[].concat(filters.exclude || []),
+                    ...apps.guarded.map(guarded => `${toPosixPath(guarded.path)}/**`)
+                ]
+            };
+        }
+
+        // Security validation
+        if (validation) {
             const isValid = await this.securityManager.validateOperation(targetPath, 'delete');
             if (!isValid) {
-                spinner.fail(chalk.red(`🚫 Security validation failed: ${description}`));
-                return { size: 0, count: 0 };
+                return { status: 'invalid' };
             }
+        }
+
+        // Emptying a trash directory would throw away the undo path of the trash strategy
+        if (strategy === 'trash' && this.trashBin.isInsideTrash(targetPath)) {
+            return { status: 'kept' };
+        }
+
+        const filter = new FileFilter(filters);
+        const targetPlugin = plugin ? this.plugins.get(plugin) : null;
+        let selection = targetPlugin && targetPlugin.scan
+            ? await this.scanWithPlugin(targetPlugin, targetPath, filter)
+            : await this.collectFiles(targetPath, filter, { recursive });
+        let refused = 0;
+
+        // A cached preview is only trusted for files that did not change since
+        if (selection.cached && !this.options.dryRun) {
+            const verified = await this.verifyPlanFiles({ path: targetPath, files: selection.files });
+            selection = { ...verified.selection, skipped: selection.skipped, excluded: selection.excluded, unsafe: selection.unsafe };
+            refused = verified.refused.length;
+        }
+
+        if (selection.count === 0) {
+            const reason = selection.skipped > 0 ? `no files ${filter.describe()}` :
+                selection.excluded > 0 ? 'All files excluded' :
+                selection.unsafe?.length > 0 ? 'Only mounts or other filesystems' : 'Empty';
+            return { status: 'empty', reason, filter, selection };
+        }
+
+        return { status: 'ready', filter, selection, refused, apps };
+    }
+
+    // 📣 Report a target that has nothing to clean
+    reportUnselected(spinner, description, selected) {
+        const details = { status: selected.status, reason: selected.reason };
+
+        switch (selected.status) {
+            case 'invalid':
+                spinner.fail(chalk.red(`🚫 Security validation failed: ${description}`), details);
+                break;
+            case 'blocked':
+                spinner.fail(chalk.red(`⛔ Blocked by path policy (${selected.reason}): ${description}`), details);
+                break;
+            case 'not-found':
+                spinner.info(chalk.gray(`🔍 Not found: ${description}`), details);
+                break;
+            case 'running':
+                spinner.warn(chalk.yellow(`🏃 Skipped, ${ProcessDetector.describe(selected.running)} running: ${description}`),
+                    { ...details, reason: ProcessDetector.describe(selected.running) });
+                break;
+            case 'kept':
+                spinner.info(chalk.gray(`🗑️  Kept (trash strategy): ${description}`), details);
+                break;
+            default:
+                spinner.info(chalk.gray(`📭 ${selected.reason}: ${description}`), details);
+        }
+    }
+
+    // 🗑️ Clean path with beautiful progress
+    async cleanPath(targetPath, description, category = 'general', target = {}, spinner = null) {
+        if (!spinner) {
+            return this.runTask(this.createTask({ path: targetPath, description, category }),
+                task => this.cleanPath(targetPath, description, category, target, task));
+        }
 
-            const exists = await fs.access(targetPath).then(() => true).catch(() => false);
+        const strategy = target.strategy || this.resolveStrategy(category);
+        const startedAt = Date.now();
 
-            if (!exists) {
-                spinner.info(chalk.gray(`🔍 Not found: ${description}`));
+        try {
+            const plugin = target.plugin ? this.plugins.get(target.plugin) : null;
+            if (plugin && plugin.clean) {
+                return await this.cleanWithPlugin(plugin, { ...target, path: targetPath, description, category }, spinner, startedAt);
+            }
+
+            spinner.scanning();
+            const selected = await this.selectTarget(targetPath, { ...target, strategy });
+
+            if (selected.status !== 'ready') {
+                this.securityManager.recordBoundarySkips(targetPath, selected.selection?.unsafe || []);
+                this.reportUnselected(spinner, description, selected);
                 return { size: 0, count: 0 };
             }
 
-            const { size, count } = await this.getFolderSize(targetPath, false);
+            return await this.processSelection({
+                targetPath,
+                description,
+                category,
+                strategy,
+                filter: selected.filter,
+                selection: selected.selection,
+                refused: selected.refused,
+                apps: selected.apps,
+                spinner,
+                startedAt
+            });
+
+        } catch (error) {
+            return this.handleCleanupError(spinner, targetPath, description, category, error, startedAt);
+        }
+    }
+
+    // 🔌 Let a plugin pick the files of its target; they are then removed like any other selection
+    async scanWithPlugin(plugin, targetPath, filter) {
+        const selection = {
+            files: [],
+            size: 0,
+            allocated: 0,
+            count: 0,
+            skipped: 0,
+            excluded: 0,
+            hardlinks: 0,
+            unsafe: [],
+            cached: false,
+            ...(await this.scanner.resolveRoot(targetPath))
+        };
+
+        const listed = (await plugin.scan({ path: targetPath }, this.getPluginContext())) || [];
+        for (const entry of [].concat(listed.files || listed)) {
+            const filePath = path.resolve(typeof entry === 'string' ? entry : entry.path);
+
+            // A plugin may only hand out files inside its own target
+            if (!this.containsPath(selection.root, filePath) || filePath === selection.root) {
+                selection.unsafe.push({ path: filePath, reason: 'outside-target' });
+                continue;
+            }
+
+            let stat;
+            try {
+                stat = await fs.lstat(filePath);
+            } catch (error) {
+                continue;
+            }
+            if (stat.isDirectory()) {
+                continue;
+            }
+
+            const reason = filter.evaluate(filePath, stat);
+            if (reason === 'excluded') {
+                selection.excluded++;
+            } else if (reason) {
+                selection.skipped++;
+            } else {
+                const allocated = stat.blocks !== undefined ? stat.blocks * 512 : stat.size;
+                selection.files.push({ path: filePath, size: stat.size, allocated, mtimeMs: stat.mtimeMs });
+                selection.count++;
+                selection.size += stat.size;
+                selection.allocated += allocated;
+            }
+        }
+
+        return selection;
+    }
+
+    // 🔌 Let a plugin clean its own target, e.g. by running a command instead of deleting files
+    async cleanWithPlugin(plugin, target, spinner, startedAt = Date.now()) {
+        const { path: targetPath, description, category } = target;
+        const label = chalk.gray(` [plugin:${plugin.id}]`);
+
+        const policy = await this.securityManager.checkPathPolicy(targetPath, { level: target.securityLevel });
+        if (!policy.allowed) {
+            this.reportUnselected(spinner, description, { status: 'blocked', reason: policy.reason });
+            return { size: 0, count: 0 };
+        }
+
+        const apps = await this.guardRunningApps(targetPath, target.processes || []);
+        if (apps.skip) {
+            this.reportUnselected(spinner, description, { status: 'running', running: apps.running });
+            return { size: 0, count: 0 };
+        }
+
+        // A plugin's scan() only estimates what its clean() will free
+        const describe = (result, outcome = '') => (result.count !== undefined || result.size !== undefined
+            ? `${result.count || 0} files, ${bytes(result.size || 0)}${outcome}` : 'done');
+
+        if (this.options.dryRun) {
+            const estimate = plugin.scan ? (await plugin.scan(target, this.getPluginContext())) || {} : {};
+            spinner.succeed(chalk.yellow(`🧪 [DRY RUN] ${description}: ${plugin.scan ? describe(estimate) : 'cleaned by its plugin'}`) + label);
+            this.recordStats(estimate.size || 0, estimate.count || 0);
+            return { size: estimate.size || 0, count: estimate.count || 0 };
+        }
+
+        spinner.start();
+        const result = (await plugin.clean(target, this.getPluginContext())) || {};
+        const size = result.size || 0;
+        const count = result.count || 0;
+        this.scanner.invalidate(targetPath);
+
+        this.recordStats(size, count);
+        spinner.succeed(chalk.green(`✅ ${description}: ${describe(result, ' freed')}`) + label);
+
+        this.securityManager.log('SUCCESS', `Cleanup completed: ${description}`, {
+            path: targetPath,
+            files: count,
+            size: bytes(size),
+            plugin: plugin.id,
+            risk: plugin.risk
+        });
+
+        this.analyticsManager.trackOperation({
+            type: 'cleanup',
+            category: category,
+            description: description,
+            files: count,
+            size: size,
+            success: true,
+            strategy: `plugin:${plugin.id}`,
+            duration: Date.now() - startedAt,
+            metadata: {
+                plugin: plugin.id,
+                risk: plugin.risk
+            }
+        });
+
+        return { size, count };
+    }
+
+    // 🧨 Back up and remove a selection of files
+    async processSelection({ targetPath, description, category, strategy, filter, selection, refused = 0, apps = null, spinner, startedAt = Date.now(), allowDefer = true }) {
+        // Removing files a running process holds open can crash it and frees nothing until the handle closes
+        const { free, inUse } = await this.openFiles.partition(selection.files);
+        const inUseSize = inUse.reduce((sum, file) => sum + (file.hardlink ? 0 : file.size), 0);
+        const deferred = allowDefer && this.options.openFiles === 'defer' && !this.options.dryRun && inUse.length > 0;
+
+        if (inUse.length > 0) {
+            if (deferred) {
+                this.deferred.push({
+                    path: targetPath,
+                    targetPath,
+                    description,
+                    category,
+                    strategy,
+                    filter,
+                    selection: { ...this.withoutFiles(selection, free), unsafe: [] }
+                });
+            }
+            selection = this.withoutFiles(selection, inUse);
+        }
+
+        const inUseNote = inUse.length === 0 ? '' : deferred
+            ? chalk.yellow(`, ${inUse.length} files in use (${bytes(inUseSize)}), retrying at the end`)
+            : chalk.yellow(`, ${inUse.length} files in use, ${bytes(inUseSize)} not reclaimable`);
+
+        if (selection.count === 0) {
+            spinner.info(chalk.gray(`🔒 All ${inUse.length} files in use: ${description}`) + inUseNote,
+                { status: deferred ? 'deferred' : 'in-use' });
+            return { size: 0, count: 0, inUse: inUse.length };
+        }
+
+        // Create backup before deletion (if the strategy asks for it and not dry run)
+        let backupId = null;
+        let backupSkipped = null;
+        if (strategy === 'backup-then-delete' && !this.options.dryRun) {
+            spinner.progress('backup', { total: selection.count, size: selection.size });
+            await this.withBackupLock(async () => {
+                const estimatedSize = this.securityManager.estimateBackupSize(selection.files);
+                const reservation = await this.securityManager.reserveBackupSpace(estimatedSize);
 
-            if (size === 0) {
-                spinner.info(chalk.gray(`📭 Empty: ${description}`));
+                if (reservation.allowed) {
+                    backupId = await this.securityManager.createBackup(selection.root || targetPath, 'delete', {
+                        files: selection.files.map(file => file.path),
+                        category
+                    });
+                } else {
+                    backupSkipped = reservation.reason;
+                    this.securityManager.recordSkippedBackup(targetPath, reservation.reason, estimatedSize);
+                }
+            });
+
+            // Never delete what we could not back up, unless the budget ruled the backup out
+            if (!backupId && !backupSkipped) {
+                spinner.fail(chalk.red(`💾 Backup failed, skipped: ${description}`), { status: 'backup-failed' });
                 return { size: 0, count: 0 };
             }
 
-            // Create backup before deletion (if enabled and not dry run)
-            let backupId = null;
-            if (this.options.enableBackup && !this.options.dryRun) {
-                backupId = await this.securityManager.createBackup(targetPath, 'delete');
+            if (backupId) {
                 this.securityManager.log('INFO', `Backup created for deletion: ${description}`, {
                     backupId,
                     path: targetPath,
-                    size: bytes(size)
+                    size: bytes(selection.size)
+                });
+                this.emit('backup:created', {
+                    ...spinner.target,
+                    backupId,
+                    files: selection.count,
+                    size: selection.size
                 });
             }
+        }
 
-            if (this.options.dryRun) {
-                spinner.succeed(chalk.yellow(`🧪 [DRY RUN] ${description}: ${count} files, ${bytes(size)}`));
-                // Update stats even in dry-run mode for accurate reporting
-                this.stats.totalCleaned += size;
-                this.stats.totalFiles += count;
-                this.stats.areasProcessed++;
-                return { size, count };
-            }
+        const excludedNote = selection.excluded > 0 ? `, ${selection.excluded} excluded` : '';
+        const filterNote = filter.isActive() || excludedNote ?
+            chalk.gray(` (${filter.describe()}${excludedNote})`) : '';
+        const refusedNote = refused > 0 ? chalk.yellow(`, ${refused} changed since scan`) : '';
+        const hardlinkNote = selection.hardlinks > 0 ? `, ${selection.hardlinks} hardlinks counted once` : '';
+        const diskNote = selection.allocated !== undefined ?
+            chalk.gray(` (${bytes(selection.allocated)} on disk${hardlinkNote})`) : '';
+        const unsafeNote = count => (count > 0 ? chalk.yellow(`, ${count} skipped at mount/symlink boundaries`) : '');
+        const appNote = apps ? chalk.yellow(
+            (apps.running.length > 0 ? `, ${ProcessDetector.describe(apps.running)} running` : '') +
+            apps.guarded.map(guarded => `, ${guarded.description} kept (${ProcessDetector.describe(guarded.running)} running)`).join('')
+        ) : '';
+
+        if (this.options.dryRun) {
+            this.securityManager.recordBoundarySkips(targetPath, selection.unsafe || []);
+            spinner.succeed(chalk.yellow(`🧪 [DRY RUN] ${description}: ${selection.count} files, ${bytes(selection.size)}`) +
+                diskNote + chalk.gray(` [${strategy}]`) + refusedNote + inUseNote + appNote + unsafeNote((selection.unsafe || []).length) + filterNote);
+            // Update stats even in dry-run mode for accurate reporting
+            this.recordStats(selection.size, selection.count, strategy);
+            return { size: selection.size, count: selection.count, strategy, refused, inUse: inUse.length };
+        }
 
-            spinner.start();
+        spinner.start();
 
-            // Use rimraf for cross-platform deletion
-            await rimraf(targetPath);
+        const root = selection.root ? { root: selection.root, dev: selection.dev } : null;
+        const { size, count, failed, unsafe } = await this.removeFiles(selection.files, strategy, root,
+            progress => spinner.progress('removing', progress));
+        this.scanner.invalidate(targetPath);
 
-            // Recreate empty folder
-            try {
-                await fs.mkdir(targetPath, { recursive: true });
-            } catch (err) {
-                // Some paths don't need recreation
+        const skipped = [...(selection.unsafe || []), ...unsafe];
+        this.securityManager.recordBoundarySkips(targetPath, skipped);
+
+        this.recordStats(size, count, strategy);
+
+        const failedNote = (failed > 0 ? chalk.yellow(`, ${failed} could not be removed`) : '') +
+            (backupSkipped ? chalk.yellow(', no backup (over budget)') : '');
+        const outcome = strategy === 'trash' ? 'moved to trash' : 'freed';
+        spinner.succeed(chalk.green(`✅ ${description}: ${count} files, ${bytes(size)} ${outcome}`) +
+            failedNote + refusedNote + inUseNote + appNote + unsafeNote(skipped.length) + filterNote);
+
+        // Log successful operation
+        this.securityManager.log('SUCCESS', `Cleanup completed: ${description}`, {
+            path: targetPath,
+            files: count,
+            size: bytes(size),
+            failed,
+            refused,
+            inUse: inUse.length,
+            inUseSize,
+            deferred,
+            runningApps: apps ? apps.running.length : 0,
+            guardedApps: apps ? apps.guarded.map(guarded => guarded.path) : [],
+            boundarySkips: skipped.length,
+            excluded: selection.excluded,
+            filters: filter.describe(),
+            strategy,
+            backupId,
+            backupSkipped
+        });
+
+        // Track analytics
+        this.analyticsManager.trackOperation({
+            type: 'cleanup',
+            category: category,
+            description: description,
+            files: count,
+            size: size,
+            success: true,
+            strategy,
+            duration: Date.now() - startedAt,
+            metadata: {
+                backupId,
+                backupSkipped,
+                failed,
+                refused,
+                inUse: inUse.length,
+                inUseSize,
+                deferred,
+                excluded: selection.excluded,
+                filters: filter.describe()
             }
+        });
+
+        return { size, count, failed, refused, inUse: inUse.length, strategy, backupId };
+    }
+
+    // ➖ A selection without some of its files, with totals adjusted
+    withoutFiles(selection, removed) {
+        const removedPaths = new Set(removed.map(file => file.path));
+        const files = selection.files.filter(file => !removedPaths.has(file.path));
+        const counted = files.filter(file => !file.hardlink);
+
+        return {
+            ...selection,
+            files,
+            count: files.length,
+            hardlinks: files.length - counted.length,
+            size: counted.reduce((sum, file) => sum + file.size, 0),
+            allocated: selection.allocated !== undefined
+                ? counted.reduce((sum, file) => sum + (file.allocated || 0), 0)
+                : undefined
+        };
+    }
 
+    // ⏳ Retry files that were in use when their target was cleaned
+    async processDeferred() {
+        if (this.deferred.length === 0) {
+            return;
+        }
+
+        const deferred = this.deferred;
+        this.deferred = [];
+        this.openFiles.refresh();
+
+        await this.runTargets([{ area: 'deferred', targets: deferred }], ' (FILES IN USE)', (target, area, task) => {
+            const startedAt = Date.now();
+            return this.processSelection({ ...target, spinner: task, startedAt, allowDefer: false })
+                .catch(error => this.handleCleanupError(task, target.path, target.description, target.category, error, startedAt));
+        });
+    }
+
+    // 🔄 Reset the run totals before the cleaner runs again
+    resetStats() {
+        this.stats = {
+            totalCleaned: 0,
+            totalTrashed: 0,
+            totalFiles: 0,
+            areasProcessed: 0,
+            startTime: Date.now()
+        };
+    }
+
+    // 📊 Add a finished target to the run totals; trashed files still take up the disk, so they are not freed
+    recordStats(size, count, strategy = null) {
+        if (strategy === 'trash') {
+            this.stats.totalTrashed += size;
+        } else {
             this.stats.totalCleaned += size;
-            this.stats.totalFiles += count;
-            this.stats.areasProcessed++;
+        }
+        this.stats.totalFiles += count;
+        this.stats.areasProcessed++;
+    }
 
-            spinner.succeed(chalk.green(`✅ ${description}: ${count} files, ${bytes(size)} freed`));
+    // 🔒 Run a backup step once every earlier one has finished
+    withBackupLock(task) {
+        const run = this.backupLock.then(task);
+        this.backupLock = run.catch(() => {});
+        return run;
+    }
 
-            // Log successful operation
-            this.securityManager.log('SUCCESS', `Cleanup completed: ${description}`, {
-                path: targetPath,
-                files: count,
-                size: bytes(size),
-                backupId
-            });
+    // ⚠️ Report, log and track a failed cleanup
+    handleCleanupError(spinner, targetPath, description, category, error, startedAt = Date.now()) {
+        spinner.fail(chalk.yellow(`⚠️  Partial cleanup: ${description} - ${error.message}`), { status: 'failed', error: error.message });
 
-            // Track analytics
-            this.analyticsManager.trackOperation({
-                type: 'cleanup',
-                category: category,
-                description: description,
-                files: count,
-                size: size,
-                success: true,
-                duration: Date.now() - this.stats.startTime,
-                metadata: { backupId }
-            });
+        this.errors.push({ path: targetPath, description, category, message: error.message });
+        // An unhandled 'error' event would throw, so it is only emitted to listeners
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', Object.assign(error, { path: targetPath, description, category }));
+        }
 
-            return { size, count };
+        // Log error with context
+        this.securityManager.log('ERROR', `Cleanup failed: ${description}`, {
+            path: targetPath,
+            error: error.message,
+            category
+        });
 
-        } catch (error) {
-            spinner.fail(chalk.yellow(`⚠️  Partial cleanup: ${description} - ${error.message}`));
+        // Track analytics for failed operation
+        this.analyticsManager.trackOperation({
+            type: 'cleanup',
+            category: category,
+            description: description,
+            files: 0,
+            size: 0,
+            success: false,
+            duration: Date.now() - startedAt,
+            error: error.message,
+            metadata: { targetPath }
+        });
 
-            // Log error with context
-            this.securityManager.log('ERROR', `Cleanup failed: ${description}`, {
-                path: targetPath,
-                error: error.message,
-                category
-            });
+        return { size: 0, count: 0 };
+    }
 
-            // Track analytics for failed operation
-            this.analyticsManager.trackOperation({
-                type: 'cleanup',
-                category: category,
-                description: description,
-                files: 0,
-                size: 0,
-                success: false,
-                duration: Date.now() - this.stats.startTime,
-                error: error.message,
-                metadata: { targetPath }
-            });
+    // 🔌 Load configured plugin modules and ultra-cleaner-plugin-* packages, once
+    async loadPlugins() {
+        if (this.pluginsLoaded) {
+            return;
+        }
+        this.pluginsLoaded = true;
 
-            return { size: 0, count: 0 };
+        // Plugins named in the config are required, a broken one stops the run
+        for (const specifier of this.options.pluginModules || []) {
+            this.plugins.load(this.paths.expand(specifier), { baseDir: this.options.pluginBaseDir });
+        }
+
+        if (this.options.discoverPlugins) {
+            const searchPaths = this.options.pluginSearchPaths || PluginRegistry.defaultSearchPaths();
+            for (const packagePath of await this.plugins.discover(searchPaths)) {
+                try {
+                    this.plugins.load(packagePath);
+                } catch (error) {
+                    this.print(chalk.yellow(`⚠️  Skipped cleanup plugin ${path.basename(packagePath)}: ${error.message}`), 'stderr');
+                }
+            }
         }
     }
 
-    // 🎨 Get emoji for category
-    getCategoryEmoji(category) {
-        const emojis = {
-            system: '💻',
-            user: '👤',
-            browser: '🌐',
-            app: '📱',
-            npm: '📦',
-            log: '📋',
-            general: '🧹'
+    // 🧰 What plugins get to work with in detect(), scan() and clean()
+    getPluginContext() {
+        return {
+            platform: os.platform(),
+            homeDir: os.homedir(),
+            tempDir: os.tmpdir(),
+            env: process.env,
+            dryRun: this.options.dryRun
         };
-        return emojis[category] || '🧽';
     }
 
-    // 📂 Get cleanup paths based on OS
-    getCleanupPaths() {
-        const platform = os.platform();
-        const homeDir = os.homedir();
-        const tempDir = os.tmpdir();
-        
-        let paths = {
-            system: [],
-            user: [],
-            browsers: [],
-            apps: [],
-            npm: [],
-            logs: []
-        };
+    // 📂 Get cleanup paths from every plugin that supports this OS
+    async getCleanupPaths() {
+        if (!this.detectedTargets) {
+            await this.loadPlugins();
 
-        // Common paths
-        paths.system.push({
-            path: tempDir,
-            description: 'System Temp Directory',
-            category: 'system'
-        });
+            const { targets, errors } = await this.plugins.detectTargets(this.getPluginContext());
+            for (const { plugin, error } of errors) {
+                this.print(chalk.yellow(`⚠️  Cleanup plugin ${plugin} found no targets: ${error.message}`), 'stderr');
+            }
+            this.detectedTargets = targets;
+        }
 
-        if (platform === 'win32') {
-            const localAppData = process.env.LOCALAPPDATA;
-            const appData = process.env.APPDATA;
-            
-            // Windows specific paths
-            paths.user = [
-                { path: process.env.TEMP, description: 'User Temp', category: 'user' },
-                { path: path.join(localAppData, 'Temp'), description: 'Local AppData Temp', category: 'user' },
-                { path: path.join(localAppData, 'Microsoft', 'Windows', 'INetCache'), description: 'Internet Cache', category: 'user' },
-                { path: path.join(localAppData, 'Microsoft', 'Windows', 'WebCache'), description: 'Web Cache', category: 'user' },
-                { path: path.join(localAppData, 'CrashDumps'), description: 'Crash Dumps', category: 'user' }
-            ];
-            
-            paths.browsers = [
-                { path: path.join(localAppData, 'Google', 'Chrome', 'User Data', 'Default', 'Cache'), description: 'Chrome Cache', category: 'browser' },
-                { path: path.join(localAppData, 'Google', 'Chrome', 'User Data', 'Default', 'Code Cache'), description: 'Chrome Code Cache', category: 'browser' },
-                { path: path.join(localAppData, 'Google', 'Chrome', 'User Data', 'Default', 'GPUCache'), description: 'Chrome GPU Cache', category: 'browser' },
-                { path: path.join(localAppData, 'Google', 'Chrome', 'User Data', 'Default', 'Service Worker', 'CacheStorage'), description: 'Chrome Service Worker Cache', category: 'browser' },
-                { path: path.join(localAppData, 'Microsoft', 'Edge', 'User Data', 'Default', 'Cache'), description: 'Edge Cache', category: 'browser' },
-                { path: path.join(localAppData, 'Microsoft', 'Edge', 'User Data', 'Default', 'Code Cache'), description: 'Edge Code Cache', category: 'browser' },
-                { path: path.join(localAppData, 'Mozilla', 'Firefox', 'Profiles'), description: 'Firefox Cache', category: 'browser' },
-                { path: path.join(localAppData, 'BraveSoftware', 'Brave-Browser', 'User Data', 'Default', 'Cache'), description: 'Brave Cache', category: 'browser' },
-                { path: path.join(localAppData, 'Opera Software', 'Opera Stable', 'Cache'), description: 'Opera Cache', category: 'browser' }
-            ];
-            
-            paths.apps = [
-                { path: path.join(appData, 'Microsoft', 'Teams', 'Cache'), description: 'Teams Cache', category: 'app' },
-                { path: path.join(appData, 'Slack', 'Cache'), description: 'Slack Cache', category: 'app' },
-                { path: path.join(appData, 'Zoom', 'logs'), description: 'Zoom Logs', category: 'log' },
-                { path: path.join(localAppData, 'Discord'), description: 'Discord Cache', category: 'app' },
-                { path: path.join(appData, 'Code', 'Cache'), description: 'VS Code Cache', category: 'app' },
-                { path: path.join(appData, 'Code', 'CachedData'), description: 'VS Code Cached Data', category: 'app' },
-                { path: path.join(localAppData, 'Microsoft', 'VisualStudio'), description: 'Visual Studio Cache', category: 'app' },
-                { path: path.join(appData, 'Steam', 'htmlcache'), description: 'Steam HTML Cache', category: 'app' }
-            ];
-            
-            paths.logs = [
-                { path: path.join(localAppData, 'Microsoft', 'Windows', 'WER', 'ReportArchive'), description: 'Windows Error Reports', category: 'log' },
-                { path: path.join(appData, 'Microsoft', 'Teams', 'logs'), description: 'Teams Logs', category: 'log' },
-                { path: path.join(localAppData, 'CrashDumps'), description: 'System Crash Dumps', category: 'log' },
-                { path: path.join(homeDir, 'AppData', 'LocalLow', 'Microsoft', 'CryptnetUrlCache'), description: 'Cryptnet URL Cache', category: 'log' }
-            ];
-            
-        } else if (platform === 'darwin') {
-            // macOS paths
-            paths.user = [
-                { path: path.join(homeDir, 'Library', 'Caches'), description: 'User Caches', category: 'user' },
-                { path: path.join(homeDir, 'Library', 'Logs'), description: 'User Logs', category: 'log' }
-            ];
-            
-            paths.browsers = [
-                { path: path.join(homeDir, 'Library', 'Caches', 'Google', 'Chrome'), description: 'Chrome Cache', category: 'browser' },
-                { path: path.join(homeDir, 'Library', 'Caches', 'Mozilla'), description: 'Firefox Cache', category: 'browser' }
-            ];
-            
-        } else {
-            // Linux paths
-            paths.user = [
-                { path: path.join(homeDir, '.cache'), description: 'User Cache', category: 'user' },
-                { path: path.join(homeDir, '.local', 'share', 'Trash'), description: 'Trash', category: 'user' }
-            ];
-            
-            paths.browsers = [
-                { path: path.join(homeDir, '.cache', 'google-chrome'), description: 'Chrome Cache', category: 'browser' },
-                { path: path.join(homeDir, '.cache', 'mozilla'), description: 'Firefox Cache', category: 'browser' },
-                { path: path.join(homeDir, '.cache', 'chromium'), description: 'Chromium Cache', category: 'browser' }
-            ];
-        }
-
-        // NPM and Node.js caches (all platforms)
-        paths.npm = [
-            { path: path.join(homeDir, '.npm'), description: 'NPM Cache', category: 'npm' },
-            { path: path.join(homeDir, '.yarn', 'cache'), description: 'Yarn Cache', category: 'npm' },
-            { path: path.join(homeDir, '.pnpm-store'), description: 'PNPM Store', category: 'npm' }
-        ];
+        const paths = {};
+        for (const [area, targets] of Object.entries(this.detectedTargets)) {
+            paths[area] = [...targets];
+        }
+        return paths;
+    }
+
+    // 🗺️ Areas selected for this run, in cleanup order
+    getSelectedAreas() {
+        // Set by a profile or the interactive area picker
+        if (this.options.customAreas) {
+            return this.options.customAreas;
+        }
+        if (this.options.mode === 'quick') {
+            return ['system', 'user', 'npm'];
+        }
+        return ['system', 'user', 'browsers', 'apps', 'npm', 'logs'];
+    }
 
+    // 📚 Every known target by area, built-in and custom
+    async getAllTargets() {
+        const paths = await this.getCleanupPaths();
+        for (const [area, targets] of Object.entries(await this.getCustomTargets())) {
+            paths[area] = [...(paths[area] || []), ...targets];
+        }
         return paths;
     }
 
-    // 🚀 Main cleanup process
-    async run() {
-        console.log(gradient('#ff6b6b', '#4ecdc4')('\n🚀 Starting Ultra System Cleanup...\n'));
+    // 📋 Targets for this run grouped by area, including custom paths
+    async getTargets() {
+        const paths = await this.getAllTargets();
+
+        return this.getSelectedAreas()
+            .filter(area => paths[area] && paths[area].length > 0)
+            .map(area => ({ area, targets: paths[area] }));
+    }
+
+    // 📂 Check whether a path is the given directory or lies below it
+    containsPath(parent, child) {
+        const relative = path.relative(path.resolve(parent), path.resolve(child));
+        return !relative.startsWith('..') && !path.isAbsolute(relative);
+    }
+
+    // 🏃 Decide whether a target can be cleaned while the processes owning it run: { running, skip }
+    async checkRunningApp(target) {
+        if (this.options.runningApps === 'force' || !target.processes || target.processes.length === 0) {
+            return { running: [], skip: false };
+        }
+
+        const running = await this.processes.findRunning(target.processes);
+        if (running.length === 0) {
+            return { running, skip: false };
+        }
+
+        // Without an answer, prompt mode behaves like skip
+        const skip = this.options.runningApps === 'skip' ||
+            (this.options.runningApps === 'prompt' && this.appDecisions.get(target.path) !== true);
+        return { running, skip };
+    }
+
+    // 🏃 Check a target and the app targets nested below it, e.g. ~/.cache/google-chrome inside ~/.cache
+    async guardRunningApps(targetPath, processes = []) {
+        const own = await this.checkRunningApp({ path: targetPath, processes });
+        if (own.skip) {
+            this.securityManager.log('WARN', `Skipped while running: ${targetPath}`, {
+                processes: ProcessDetector.describe(own.running)
+            });
+            return { ...own, guarded: [] };
+        }
+
+        if (own.running.length > 0) {
+            this.securityManager.log('WARN', `Cleaning while running: ${targetPath}`, {
+                processes: ProcessDetector.describe(own.running)
+            });
+        }
+
+        const guarded = [];
+        const nested = Object.values(await this.getAllTargets()).flat().filter(target =>
+            target.processes && target.processes.length > 0 &&
+            path.resolve(target.path) !== path.resolve(targetPath) &&
+            this.containsPath(targetPath, target.path));
+
+        for (const target of nested) {
+            const app = await this.checkRunningApp(target);
+            if (app.skip) {
+                guarded.push({ path: target.path, description: target.description, running: app.running });
+            }
+        }
+
+        return { running: own.running, skip: false, guarded };
+    }
+
+    // 🙋 In prompt mode, ask once for every running app whose cache is about to be cleaned
+    async confirmRunningApps(targets) {
+        if (this.options.runningApps !== 'prompt' || typeof this.options.confirmRunningApp !== 'function') {
+            return;
+        }
+
+        const candidates = new Map();
+        for (const target of [...targets, ...Object.values(await this.getAllTargets()).flat()]) {
+            const relevant = targets.some(selected => this.containsPath(selected.path, target.path));
+            if (relevant && target.processes && target.processes.length > 0 && !candidates.has(target.path)) {
+                candidates.set(target.path, target);
+            }
+        }
+
+        for (const target of candidates.values()) {
+            if (this.appDecisions.has(target.path)) {
+                continue;
+            }
+
+            const running = await this.processes.findRunning(target.processes);
+            if (running.length > 0) {
+                this.appDecisions.set(target.path, Boolean(await this.options.confirmRunningApp(target, running)));
+            }
+        }
+    }
+
+    // 🏁 Initialize security and analytics for a cleanup session
+    async startSession() {
+        // Built-in targets are always allowlisted, custom paths and third-party plugins need security.allowedPaths
+        const builtin = Object.values(await this.getCleanupPaths()).flat()
+            .filter(target => target.source.startsWith('builtin:'))
+            .map(target => target.path);
+        this.securityManager.pathPolicy.allow(builtin);
+
+        this.results = [];
+        this.errors = [];
+        this.goal = null;
 
         // Initialize security systems
         await this.securityManager.initialize();
@@ -350,196 +1056,494 @@ class UltraSystemCleaner {
         await this.analyticsManager.initialize();
 
         // Start analytics session
-        this.analyticsManager.startSession();
+        this.analyticsManager.startSession({
+            mode: this.options.mode,
+            dryRun: this.options.dryRun,
+            ...(this.options.trigger ? { trigger: this.options.trigger } : {})
+        });
+    }
 
-        const paths = this.getCleanupPaths();
-        const mode = this.options.mode || 'interactive';
-        
-        // Determine which areas to clean
-        let areasToClean = ['system', 'user', 'browsers', 'apps', 'npm', 'logs'];
-        
-        if (mode === 'quick') {
-            areasToClean = ['system', 'user', 'npm'];
-        } else if (this.options.customAreas) {
-            areasToClean = this.options.customAreas;
+    // 🎊 Close the cleanup session and report its result
+    async finishSession() {
+        // End analytics session
+        this.analyticsManager.endSession();
+
+        // Save final security report
+        await this.securityManager.saveSecurityReport();
+
+        // Generate report if requested
+        const reportPath = this.options.generateReport ? await this.generateAndExportReport() : null;
+
+        const result = this.buildResult(reportPath);
+        this.emit('session:end', result);
+        return result;
+    }
+
+    // 📦 Structured outcome of the session, as returned by run() and applyPlan()
+    buildResult(reportPath = null) {
+        const finishedAt = Date.now();
+        const security = this.securityManager.getOperationSummary();
+        // Targets finish out of order when run concurrently; report them in cleanup order
+        const targets = [...this.results].sort((a, b) => a.id - b.id).map(({ message, ...target }) => target);
+
+        return {
+            success: this.errors.length === 0,
+            dryRun: this.options.dryRun,
+            mode: this.options.mode,
+            startedAt: new Date(this.stats.startTime).toISOString(),
+            finishedAt: new Date(finishedAt).toISOString(),
+            duration: finishedAt - this.stats.startTime,
+            totals: {
+                size: this.stats.totalCleaned,
+                trashed: this.stats.totalTrashed,
+                files: this.stats.totalFiles,
+                targets: this.stats.areasProcessed
+            },
+            targets,
+            errors: this.errors,
+            backups: targets
+                .filter(target => target.backupId)
+                .map(target => ({ id: target.backupId, path: target.path })),
+            security: {
+                ...security,
+                // Where this run logged and backed up, after the configuration was resolved
+                logPath: this.securityManager.options.logLocation,
+                backupDir: this.securityManager.options.backupLocation,
+                details: {
+                    skippedBackups: this.securityManager.skippedBackups,
+                    boundarySkips: this.securityManager.boundarySkips,
+                    blocked: this.securityManager.blockedOperations
+                }
+            },
+            analytics: this.options.enableAnalytics
+                ? { ...this.analyticsManager.analyticsData.summary, location: this.analyticsManager.options.analyticsLocation }
+                : null,
+            reportPath,
+            reportFormat: reportPath ? this.options.exportFormat : null,
+            ...(this.goal ? { goal: this.goal } : {})
+        };
+    }
+
+    // 🧵 Number of targets processed at the same time
+    getConcurrency() {
+        if (this.options.parallel === false) {
+            return 1;
         }
-        
-        // Clean each area
-        for (const area of areasToClean) {
-            if (paths[area] && paths[area].length > 0) {
-                console.log(chalk.magenta(`\n${this.getCategoryEmoji(area)} ${area.toUpperCase()} CLEANUP`));
-                
-                for (const pathInfo of paths[area]) {
-                    await this.cleanPath(pathInfo.path, pathInfo.description, pathInfo.category);
+        return Math.max(1, parseInt(this.options.maxParallelJobs, 10) || 1);
+    }
+
+    // 🧵 Run a worker for every target through the job pool; events are emitted in target order
+    async runTargets(groups, headingSuffix, worker, concurrency = this.getConcurrency()) {
+        const jobs = [];
+        this.emit('targets:start');
+
+        try {
+            for (const { area, targets } of groups) {
+                this.emit('area:start', { area, title: `${String(area).toUpperCase()}${headingSuffix}` });
+                for (const target of targets) {
+                    const task = this.createTask(target, area);
+                    this.emit('target:queued', { ...task.target });
+                    // Nested targets (e.g. ~/.cache and ~/.cache/google-chrome) never run at the same time
+                    jobs.push({ key: target.path, area, target, task });
                 }
             }
+
+            const pool = new JobPool({ concurrency });
+            return await pool.run(jobs, job => this.runTask(job.task, task => worker(job.target, job.area, task)));
+        } finally {
+            this.emit('targets:end');
         }
+    }
+
+    // 🗂️ Group consecutive targets of the same area, keeping their order
+    groupByArea(targets) {
+        const groups = [];
+        for (const target of targets) {
+            const last = groups[groups.length - 1];
+            if (last && last.area === target.area) {
+                last.targets.push(target);
+            } else {
+                groups.push({ area: target.area, targets: [target] });
+            }
+        }
+        return groups;
+    }
+
+    // 🚀 Main cleanup process
+    async run() {
+        if (this.options.targetFree !== null && this.options.targetFree !== undefined) {
+            return this.runToTargetFree();
+        }
+
+        this.emit('session:start', { kind: 'cleanup', mode: this.options.mode, dryRun: this.options.dryRun });
+
+        await this.startSession();
+
+        const groups = await this.getTargets();
+        await this.confirmRunningApps(groups.flatMap(group => group.targets));
+
+        // Clean every area, independent targets concurrently
+        await this.runTargets(groups, ' CLEANUP', (pathInfo, area, task) =>
+            this.cleanPath(pathInfo.path, pathInfo.description, pathInfo.category, this.resolveTargetOptions(area, pathInfo), task));
         
-        // NPM cache clean
-        await this.cleanNpmCache();
-        
-        // Final results
-        await this.displayResults();
+        // Files that were in use get one more chance once everything else is done
+        await this.processDeferred();
 
-        // End analytics session
-        this.analyticsManager.endSession();
+        return this.finishSession();
+    }
 
-        // Display security summary
-        await this.displaySecuritySummary();
+    // 🎯 Clean only until targetFree is free: scan, rank the targets on the goal's filesystem,
+    // then apply them one at a time and stop as soon as the goal is met. A dry run stops where the scan projects it
+    async runToTargetFree() {
+        const goal = new SpaceGoal({ mount: this.options.targetMount || os.homedir(), target: this.options.targetFree });
+        const groups = await this.getTargets();
 
-        // Display analytics summary if enabled
-        await this.displayAnalyticsSummary();
+        // Backups and the trash keep the bytes on the same disk, so the goal would never be met and every target cleaned.
+        // Plugins that clean by themselves free their space whatever the strategy; a dry run only projects
+        if (!this.options.dryRun) {
+            const keeping = groups.flatMap(({ area, targets }) => targets.filter(pathInfo =>
+                !(pathInfo.plugin && this.plugins.get(pathInfo.plugin)?.clean) &&
+                this.resolveStrategy(area, pathInfo) !== 'delete'));
+            if (keeping.length > 0) {
+                throw new Error(`A free space goal only works with the delete strategy, but ${keeping.length} targets ` +
+                    `keep what they remove (e.g. ${keeping[0].description}); add --strategy delete or --no-backup`);
+            }
+        }
 
-        // Generate report if requested
-        if (this.options.generateReport) {
-            await this.generateAndExportReport();
-        }
-    }
-
-    // 🔐 Display security summary
-    async displaySecuritySummary() {
-        const securitySummary = this.securityManager.getOperationSummary();
-
-        if (securitySummary.totalOperations > 0) {
-            const securityBox = boxen(
-                `${chalk.blue.bold('🔐 SECURITY SUMMARY')}\n\n` +
-                `${chalk.white('📊 Operations:')} ${chalk.cyan(securitySummary.totalOperations)}\n` +
-                `${chalk.white('✅ Success:')} ${chalk.green(securitySummary.successes)}\n` +
-                `${chalk.white('⚠️  Warnings:')} ${chalk.yellow(securitySummary.warnings)}\n` +
-                `${chalk.white('❌ Errors:')} ${chalk.red(securitySummary.errors)}\n` +
-                `${chalk.white('💾 Backups:')} ${chalk.cyan(securitySummary.backups)}\n\n` +
-                `${chalk.gray('📋 Detailed logs saved to: ~/.ultra-cleaner.log')}\n` +
-                `${chalk.gray('💾 Backups location: ~/.ultra-cleaner-backups')}`,
-                {
-                    padding: 1,
-                    margin: 1,
-                    borderStyle: 'double',
-                    borderColor: 'blue',
-                    backgroundColor: '#1a1a2e'
+        this.emit('session:start', { kind: 'cleanup', mode: this.options.mode, dryRun: this.options.dryRun });
+        await this.startSession();
+
+        const before = await goal.measure();
+        const untouched = [];
+        const leave = (entry, reason) => untouched.push({
+            path: entry.path,
+            description: entry.description,
+            category: entry.category,
+            area: entry.area,
+            size: entry.size,
+            reason
+        });
+
+        let ranked = [];
+        if (before.needed > 0) {
+            const scanned = await this.runTargets(groups, ' SCAN', async (pathInfo, area, task) => {
+                const entry = await this.scanTarget(area, pathInfo, task);
+                // Nothing is cleaned yet, whatever the outcome level says
+                if (task.outcome && entry.status === 'ready') {
+                    task.outcome.status = 'scanned';
                 }
-            );
+                return entry;
+            });
+            // Scanning is only how the goal is planned, the result lists what was cleaned
+            this.results = [];
 
-            console.log('\n' + securityBox);
+            const candidates = [];
+            for (const entry of scanned.filter(target => target.status === 'ready')) {
+                if (await goal.onSameFilesystem(entry.path)) {
+                    candidates.push(entry);
+                } else {
+                    leave(entry, 'other filesystem');
+                }
+            }
+            ranked = SpaceGoal.rank(candidates, this.options.categoryPriorities || {});
         }
 
-        // Save final security report
-        await this.securityManager.saveSecurityReport();
+        const { steps, stopIndex } = SpaceGoal.project(ranked, before.free, before.target);
+        this.emit('goal:planned', {
+            ...before,
+            stopIndex,
+            targets: steps.map(({ entry, projectedFree }) => ({
+                path: entry.path,
+                description: entry.description,
+                category: entry.category,
+                area: entry.area,
+                risk: entry.risk || SpaceGoal.DEFAULT_RISK,
+                priority: this.options.categoryPriorities?.[entry.area] ?? null,
+                size: entry.size,
+                projectedFree
+            })),
+            otherFilesystem: untouched.map(entry => entry.path)
+        });
+
+        await this.confirmRunningApps(ranked);
+
+        // Ranked order matters more than speed here: one target at a time, measuring in between
+        let previewed = 0;
+        await this.runTargets(this.groupByArea(ranked), ' CLEANUP', async (entry, area, task) => {
+            const free = this.options.dryRun ? before.free + previewed : (await goal.measure()).free;
+            if (free >= before.target) {
+                leave(entry, 'goal reached');
+                task.info(chalk.gray(`⏭️  Left untouched, ${bytes(before.target)} free reached: ${entry.description} (${bytes(entry.size)})`),
+                    { status: 'untouched', reason: 'goal reached' });
+                return { size: 0, count: 0 };
+            }
+
+            const result = await this.applyPlanEntry(entry, task);
+            previewed += result.size || 0;
+            return result;
+        }, 1);
+
+        await this.processDeferred();
+
+        const freeAfter = this.options.dryRun ? before.free + previewed : (await goal.measure()).free;
+        this.goal = {
+            mount: before.mount,
+            target: before.target,
+            freeBefore: before.free,
+            freeAfter,
+            // A dry run's free space is what the scan projects
+            projected: Boolean(this.options.dryRun),
+            met: freeAfter >= before.target,
+            untouched
+        };
+
+        return this.finishSession();
     }
 
-    // 📊 Display analytics summary
-    async displayAnalyticsSummary() {
-        if (!this.options.enableAnalytics) {
-            return;
-        }
+    // 🔎 Scan a single target into a plan entry
+    async scanTarget(area, pathInfo, spinner) {
+        const options = this.resolveTargetOptions(area, pathInfo);
+        const entry = {
+            path: pathInfo.path,
+            description: pathInfo.description,
+            category: pathInfo.category,
+            area,
+            source: pathInfo.source || `builtin:${os.platform()}`,
+            status: 'error',
+            strategy: options.strategy,
+            validation: options.validation,
+            securityLevel: options.securityLevel,
+            processes: options.processes,
+            plugin: options.plugin,
+            risk: options.risk,
+            rule: null,
+            rules: options.filters,
+            fileCount: 0,
+            size: 0,
+            files: [],
+            unsafe: []
+        };
 
         try {
-            const analyticsSummary = this.analyticsManager.analyticsData.summary;
-
-            if (analyticsSummary.totalSessions > 0) {
-                const analyticsBox = boxen(
-                    `${chalk.magenta.bold('📊 ANALYTICS SUMMARY')}\n\n` +
-                    `${chalk.white('📈 Total Sessions:')} ${chalk.cyan(analyticsSummary.totalSessions)}\n` +
-                    `${chalk.white('📁 Files Cleaned:')} ${chalk.cyan(analyticsSummary.totalFilesCleaned.toLocaleString())}\n` +
-                    `${chalk.white('💾 Space Recovered:')} ${chalk.cyan(this.analyticsManager.formatBytes(analyticsSummary.totalSpaceRecovered))}\n` +
-                    `${chalk.white('📊 Average per Session:')} ${chalk.cyan(this.analyticsManager.formatBytes(Math.round(analyticsSummary.averageSessionSize)))}\n` +
-                    `${analyticsSummary.mostActiveDay ? `${chalk.white('📅 Most Active Day:')} ${chalk.cyan(analyticsSummary.mostActiveDay)}\n` : ''}` +
-                    `${chalk.gray('📋 Detailed analytics saved to: ~/.ultra-cleaner-analytics/')}`,
-                    {
-                        padding: 1,
-                        margin: 1,
-                        borderStyle: 'double',
-                        borderColor: 'magenta',
-                        backgroundColor: '#1a1a2e'
-                    }
-                );
-
-                console.log('\n' + analyticsBox);
+            // Plugins with their own clean() are applied as a whole, their scan() only estimates
+            const plugin = options.plugin ? this.plugins.get(options.plugin) : null;
+            if (plugin && plugin.clean) {
+                const estimate = plugin.scan ? (await plugin.scan(pathInfo, this.getPluginContext())) || {} : {};
+                entry.status = 'ready';
+                entry.rule = `plugin:${plugin.id}`;
+                entry.fileCount = estimate.count || 0;
+                entry.size = estimate.size || 0;
+                spinner.succeed(chalk.cyan(`📋 ${pathInfo.description}: ${plugin.scan ? `${entry.fileCount} files, ${bytes(entry.size)}` : 'cleaned by its plugin'}`) +
+                    chalk.gray(` [plugin:${plugin.id}]`));
+                return entry;
             }
+
+            const selected = await this.selectTarget(pathInfo.path, options);
+            const filter = selected.filter || new FileFilter(options.filters);
+
+            entry.status = selected.status;
+            entry.rule = filter.describe();
+            entry.unsafe = selected.selection?.unsafe || [];
+
+            if (selected.status !== 'ready') {
+                this.reportUnselected(spinner, pathInfo.description, selected);
+                return entry;
+            }
+
+            entry.fileCount = selected.selection.count;
+            entry.size = selected.selection.size;
+            entry.files = selected.selection.files;
+            spinner.succeed(chalk.cyan(`📋 ${pathInfo.description}: ${entry.fileCount} files, ${bytes(entry.size)}`) +
+                chalk.gray(` [${entry.strategy}] (${entry.rule})`));
         } catch (error) {
-            console.warn(chalk.yellow(`⚠️  Failed to display analytics summary: ${error.message}`));
+            spinner.fail(chalk.yellow(`⚠️  Could not scan: ${pathInfo.description} - ${error.message}`));
         }
+
+        return entry;
     }
 
-    // 📋 Generate and export report
-    async generateAndExportReport() {
+    // 🔎 Scan every target and build a reviewable cleanup plan
+    async scan() {
+        this.emit('session:start', { kind: 'scan', mode: this.options.mode, dryRun: true });
+
+        const plan = {
+            version: PLAN_VERSION,
+            createdAt: new Date().toISOString(),
+            host: os.hostname(),
+            platform: os.platform(),
+            mode: this.options.mode,
+            totals: { targets: 0, files: 0, size: 0 },
+            targets: []
+        };
+
+        plan.targets = await this.runTargets(await this.getTargets(), '', (pathInfo, area, task) =>
+            this.scanTarget(area, pathInfo, task));
+
+        for (const entry of plan.targets.filter(target => target.status === 'ready')) {
+            plan.totals.targets++;
+            plan.totals.files += entry.fileCount;
+            plan.totals.size += entry.size;
+        }
+
+        this.emit('plan:created', plan);
+        return plan;
+    }
+
+    // ✅ Re-check planned files, refusing any that changed since the scan
+    async verifyPlanFiles(entry) {
+        const selection = { files: [], size: 0, allocated: 0, count: 0, skipped: 0, excluded: 0, hardlinks: 0, unsafe: [] };
+        const refused = [];
+
         try {
-            const reportPath = await this.analyticsManager.exportAnalytics(
-                this.options.generateReport,
-                this.options.exportFormat
-            );
+            Object.assign(selection, await this.scanner.resolveRoot(entry.path));
+        } catch (error) {
+            refused.push(...(entry.files || []).map(file => ({ path: file.path, reason: 'missing' })));
+            return { selection, refused };
+        }
+        const root = selection.root;
+
+        for (const file of entry.files || []) {
+            const filePath = path.resolve(file.path);
+            const relative = path.relative(root, filePath);
 
-            if (reportPath) {
-                console.log(chalk.green(`\n📊 Analytics report exported: ${reportPath}`));
+            // A plan may only touch files inside its own target
+            if (!relative || relative.startsWith('..') || path.isAbsolute(relative)) {
+                refused.push({ path: file.path, reason: 'outside-target' });
+                continue;
+            }
 
-                // Show a preview for HTML reports
-                if (this.options.exportFormat === 'html') {
-                    console.log(chalk.gray(`   Open in browser to view charts and detailed analysis`));
+            try {
+                const stat = await fs.lstat(filePath);
+                if (stat.size !== file.size || stat.mtimeMs !== file.mtimeMs) {
+                    refused.push({ path: file.path, reason: 'changed' });
+                    continue;
                 }
+            } catch (error) {
+                refused.push({ path: file.path, reason: 'missing' });
+                continue;
             }
-        } catch (error) {
-            console.error(chalk.red(`❌ Failed to generate report: ${error.message}`));
+
+            selection.files.push({ ...file, path: filePath });
+            if (file.hardlink) {
+                selection.hardlinks++;
+            } else {
+                selection.size += file.size;
+                selection.allocated += file.allocated || 0;
+            }
+            selection.count++;
         }
+
+        return { selection, refused };
     }
 
-    // 🧽 NPM cache cleanup
-    async cleanNpmCache() {
-        if (this.options.dryRun) return;
-        
-        const spinner = this.createSpinner('Cleaning NPM cache', '📦');
-        
+    // 🧾 Apply one planned target
+    async applyPlanEntry(entry, spinner = null) {
+        if (!spinner) {
+            return this.runTask(this.createTask(entry), task => this.applyPlanEntry(entry, task));
+        }
+
+        const startedAt = Date.now();
+
         try {
-            const { spawn } = require('child_process');
-            
-            await new Promise((resolve, reject) => {
-                const npmClean = spawn('npm', ['cache', 'clean', '--force'], {
-                    stdio: 'pipe'
-                });
-                
-                npmClean.on('close', (code) => {
-                    if (code === 0) resolve();
-                    else reject(new Error(`NPM clean exited with code ${code}`));
+            const plugin = entry.plugin ? this.plugins.get(entry.plugin) : null;
+            if (plugin && plugin.clean) {
+                return await this.cleanWithPlugin(plugin, entry, spinner, startedAt);
+            }
+
+            const policy = await this.securityManager.checkPathPolicy(entry.path, { level: entry.securityLevel });
+            if (!policy.allowed) {
+                spinner.fail(chalk.red(`⛔ Blocked by path policy (${policy.reason}): ${entry.description}`));
+                return { size: 0, count: 0 };
+            }
+
+            if (entry.validation !== false) {
+                const isValid = await this.securityManager.validateOperation(entry.path, 'delete');
+                if (!isValid) {
+                    spinner.fail(chalk.red(`🚫 Security validation failed: ${entry.description}`));
+                    return { size: 0, count: 0 };
+                }
+            }
+
+            const apps = await this.guardRunningApps(entry.path, entry.processes || []);
+            if (apps.skip) {
+                this.reportUnselected(spinner, entry.description, { status: 'running', running: apps.running });
+                return { size: 0, count: 0 };
+            }
+
+            spinner.scanning();
+            const verified = await this.verifyPlanFiles(entry);
+            const refused = verified.refused;
+            let selection = verified.selection;
+
+            // Files of a nested app that is running now stay where they are
+            if (apps.guarded.length > 0) {
+                selection = this.withoutFiles(selection, selection.files.filter(file =>
+                    apps.guarded.some(guarded => this.containsPath(guarded.path, file.path))));
+            }
+
+            if (refused.length > 0) {
+                this.securityManager.log('WARN', `Refused ${refused.length} planned files: ${entry.description}`, {
+                    path: entry.path,
+                    refused: refused.slice(0, 20)
                 });
-                
-                npmClean.on('error', reject);
+            }
+
+            if (selection.count === 0) {
+                spinner.info(chalk.gray(`📭 Nothing left to apply: ${entry.description}` +
+                    (refused.length > 0 ? ` (${refused.length} changed since scan)` : '')));
+                return { size: 0, count: 0 };
+            }
+
+            return await this.processSelection({
+                targetPath: entry.path,
+                description: entry.description,
+                category: entry.category,
+                // Resolved again with the plan's strategy as the target's own, so backups turned off since the scan
+                // (--no-backup, global.backup) make it a plain delete instead of failing every target
+                strategy: this.resolveStrategy(entry.area || entry.category, { strategy: entry.strategy }),
+                filter: new FileFilter(entry.rules),
+                selection,
+                refused: refused.length,
+                apps,
+                spinner,
+                startedAt
             });
-            
-            spinner.succeed(chalk.green('✅ NPM cache cleaned'));
+
         } catch (error) {
-            spinner.fail(chalk.yellow(`⚠️  NPM cache cleanup failed: ${error.message}`));
+            return this.handleCleanupError(spinner, entry.path, entry.description, entry.category, error, startedAt);
         }
     }
 
-    // 🎊 Display beautiful results
-    async displayResults() {
-        const duration = ((Date.now() - this.stats.startTime) / 1000).toFixed(1);
-        const speedMBps = this.stats.totalCleaned > 0 ? 
-            ((this.stats.totalCleaned / (1024 * 1024)) / parseFloat(duration)).toFixed(1) : 0;
-        
-        const resultBox = boxen(
-            `${chalk.green.bold('🎉 CLEANUP COMPLETED SUCCESSFULLY! 🎉')}\n\n` +
-            `${chalk.white('⏱️  Duration:')} ${chalk.cyan(duration + ' seconds')}\n` +
-            `${chalk.white('📁 Files processed:')} ${chalk.cyan(this.stats.totalFiles.toLocaleString())}\n` +
-            `${chalk.white('💾 Data processed:')} ${chalk.cyan(bytes(this.stats.totalCleaned))}\n` +
-            `${chalk.white('🎯 Areas cleaned:')} ${chalk.cyan(this.stats.areasProcessed)}\n` +
-            `${chalk.white('⚡ Speed:')} ${chalk.cyan(speedMBps + ' MB/s')}\n\n` +
-            `${chalk.gray('🔄 Run monthly for optimal performance!')}\n` +
-            `${chalk.gray('⭐ Star us on GitHub: https://github.com/Gzeu/ultra-system-cleaner')}`,
-            {
-                padding: 1,
-                margin: 1,
-                borderStyle: 'double',
-                borderColor: 'green',
-                backgroundColor: '#0d4f3c'
-            }
-        );
-        
-        console.log('\n' + resultBox);
-        
-        // Performance message
-        if (this.stats.totalCleaned > 1024 * 1024 * 1024) { // > 1GB
-            console.log(gradient('#FFD700', '#FFA500')('\n🏆 EXCELLENT! Very effective cleanup!\n'));
-        } else if (this.stats.totalCleaned > 100 * 1024 * 1024) { // > 100MB
-            console.log(chalk.green('\n👍 Good cleanup results!\n'));
+    // 🚀 Execute exactly the files listed in a plan
+    async applyPlan(plan) {
+        if (!plan || plan.version !== PLAN_VERSION || !Array.isArray(plan.targets)) {
+            throw new Error('Unsupported or invalid cleanup plan');
+        }
+
+        this.emit('session:start', { kind: 'apply', mode: plan.mode, dryRun: this.options.dryRun, plan: { createdAt: plan.createdAt, host: plan.host } });
+
+        await this.startSession();
+
+        // Group consecutive entries by area, as they were scanned
+        const groups = this.groupByArea(plan.targets.filter(target => target.status === 'ready'));
+
+        await this.confirmRunningApps(groups.flatMap(group => group.targets));
+        await this.runTargets(groups, ' CLEANUP', (entry, area, task) => this.applyPlanEntry(entry, task));
+        await this.processDeferred();
+
+        return this.finishSession();
+    }
+
+    // 📋 Generate and export report, returning where it was written
+    async generateAndExportReport() {
+        try {
+            return await this.analyticsManager.exportAnalytics(
+                this.paths.resolvePath(this.options.generateReport),
+                this.options.exportFormat
+            );
+        } catch (error) {
+            this.print(chalk.red(`❌ Failed to generate report: ${error.message}`), 'stderr');
+            return null;
         }
     }
 }
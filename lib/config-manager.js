@@ -2,102 +2,342 @@ const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
 const chalk = require('chalk');
+const yaml = require('js-yaml');
+const { matchesPattern } = require('./pattern-matcher');
+const ConfigValidator = require('./config-validator');
+const PathResolver = require('./path-resolver');
+const FileFilter = require('./file-filter');
+
+const CONFIG_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const YAML_EXTENSIONS = ['.yaml', '.yml'];
+const ENV_PREFIX = 'ULTRA_CLEANER_';
+
+// Areas of the built-in plugins; plugins may add their own
+const KNOWN_CATEGORIES = ['system', 'user', 'browsers', 'apps', 'npm', 'logs'];
+
+// 🧱 Objects merge between layers; arrays and values replace
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
 
 class ConfigManager {
-    constructor() {
+    constructor(options = {}) {
+        this.options = {
+            // (message, stream) => void; pass a no-op to load configuration silently
+            output: null,
+            cwd: process.cwd(),
+            homeDir: os.homedir(),
+            env: process.env,
+            platform: os.platform(),
+            // Override where the system-wide and per-user layers are looked up
+            systemConfigDir: null,
+            userConfigDir: null,
+            ...options
+        };
+
         this.config = null;
         this.configPath = null;
+        this.layers = [];
+        this.sources = new Map();
         this.defaultConfigPath = path.join(__dirname, '..', 'config', 'default-config.json');
     }
 
-    // 🎨 Load configuration file
-    async loadConfig(configPath = null) {
-        try {
-            // Determine config file path
-            if (configPath) {
-                this.configPath = path.resolve(configPath);
-            } else {
-                // Check for config file in current directory
-                const localConfigPath = path.join(process.cwd(), 'ultra-cleaner.json');
-                const homeConfigPath = path.join(os.homedir(), '.ultra-cleaner.json');
-
-                if (await this.fileExists(localConfigPath)) {
-                    this.configPath = localConfigPath;
-                } else if (await this.fileExists(homeConfigPath)) {
-                    this.configPath = homeConfigPath;
-                } else {
-                    this.configPath = this.defaultConfigPath;
+    // 📚 Where each file layer is looked up, lowest precedence first
+    getLayerLocations(configPath = null) {
+        const { cwd, homeDir, env, platform } = this.options;
+        const systemDir = this.options.systemConfigDir || (platform === 'win32'
+            ? path.join(env.ProgramData || 'C:\\ProgramData', 'ultra-cleaner')
+            : '/etc/ultra-cleaner');
+        const userDir = this.options.userConfigDir || (platform === 'win32'
+            ? path.join(env.APPDATA || path.join(homeDir, 'AppData', 'Roaming'), 'ultra-cleaner')
+            : path.join(env.XDG_CONFIG_HOME || path.join(homeDir, '.config'), 'ultra-cleaner'));
+        const withExtensions = base => CONFIG_EXTENSIONS.map(extension => `${base}${extension}`);
+
+        return [
+            { name: 'system', candidates: withExtensions(path.join(systemDir, 'config')) },
+            { name: 'user', candidates: withExtensions(path.join(userDir, 'config')) },
+            { name: 'home', candidates: withExtensions(path.join(homeDir, '.ultra-cleaner')) },
+            // --config takes the place of the project file
+            configPath
+                ? { name: 'file', candidates: [path.resolve(cwd, configPath)], explicit: true }
+                : { name: 'project', candidates: withExtensions(path.join(cwd, 'ultra-cleaner')) }
+        ];
+    }
+
+    // 🔍 Configuration files that exist, with the bundled defaults first
+    async findConfigFiles(configPath = null) {
+        const files = [{ name: 'defaults', path: this.defaultConfigPath }];
+
+        for (const location of this.getLayerLocations(configPath)) {
+            let found = null;
+            for (const candidate of location.candidates) {
+                if (await this.fileExists(candidate)) {
+                    found = candidate;
+                    break;
                 }
             }
 
-            // Read and parse config file
-            const configContent = await fs.readFile(this.configPath, 'utf8');
-            this.config = JSON.parse(configContent);
+            if (found) {
+                files.push({ name: location.name, path: found });
+            } else if (location.explicit) {
+                this.print(chalk.yellow(`⚠️  Configuration file not found: ${location.candidates[0]}, using the other layers`), process.stderr);
+            }
+        }
 
-            // Validate configuration
-            await this.validateConfig();
+        return files;
+    }
 
-            console.log(chalk.cyan(`📋 Loaded configuration: ${path.basename(this.configPath)}`));
+    // 📄 Parse a JSON or YAML configuration file
+    async readConfigFile(filePath) {
+        const content = await fs.readFile(filePath, 'utf8');
+        const values = YAML_EXTENSIONS.includes(path.extname(filePath).toLowerCase())
+            ? yaml.load(content, { filename: filePath })
+            : JSON.parse(content);
 
-            return this.config;
+        // An empty YAML file is an empty layer
+        if (values === null || values === undefined) {
+            return {};
+        }
+        if (typeof values !== 'object' || Array.isArray(values)) {
+            throw new Error(`${filePath} must contain an object`);
+        }
+        return values;
+    }
 
-        } catch (error) {
-            if (error.code === 'ENOENT') {
-                console.log(chalk.yellow(`⚠️  Configuration file not found, using defaults`));
-                return this.loadDefaultConfig();
-            } else {
-                throw new Error(`Failed to load configuration: ${error.message}`);
+    // 🎨 Load and merge every configuration layer:
+    // defaults → system → user (XDG) → home → project (or --config) → ULTRA_CLEANER_* → CLI
+    async loadConfig(configPath = null, { overrides = null } = {}) {
+        let config = {};
+        this.layers = [];
+        this.sources = new Map();
+
+        const addLayer = (layer, values) => {
+            this.validateLayer(layer, values);
+            this.layers.push(layer);
+            config = this.mergeLayer(config, values, layer);
+        };
+
+        try {
+            for (const file of await this.findConfigFiles(configPath)) {
+                addLayer(file, await this.readConfigFile(file.path));
             }
+
+            const envValues = this.readEnvLayer();
+            if (Object.keys(envValues).length > 0) {
+                addLayer({ name: 'env', path: null }, envValues);
+            }
+
+            if (overrides && Object.keys(overrides).length > 0) {
+                addLayer({ name: 'cli', path: null }, overrides);
+            }
+        } catch (error) {
+            throw Object.assign(new Error(`Failed to load configuration: ${error.message}`), { errors: error.errors });
         }
+
+        this.config = config;
+        // The most specific file, e.g. for relative paths and messages
+        const files = this.layers.filter(layer => layer.path);
+        this.configPath = files[files.length - 1].path;
+
+        const loaded = files.filter(layer => layer.name !== 'defaults').map(layer => path.basename(layer.path));
+        this.print(chalk.cyan(loaded.length > 0
+            ? `📋 Loaded configuration: ${loaded.join(', ')}`
+            : '📋 Using the default configuration'), process.stdout);
+
+        return this.config;
     }
 
     // 📄 Load default configuration
     async loadDefaultConfig() {
         try {
-            const defaultContent = await fs.readFile(this.defaultConfigPath, 'utf8');
-            this.config = JSON.parse(defaultContent);
+            this.config = await this.readConfigFile(this.defaultConfigPath);
             this.configPath = this.defaultConfigPath;
+            this.layers = [{ name: 'defaults', path: this.defaultConfigPath }];
+            this.sources = new Map();
+            this.mergeLayer({}, this.config, this.layers[0]);
             return this.config;
         } catch (error) {
             throw new Error(`Failed to load default configuration: ${error.message}`);
         }
     }
 
-    // ✅ Validate configuration structure
-    async validateConfig() {
-        if (!this.config || typeof this.config !== 'object') {
-            throw new Error('Configuration must be a valid JSON object');
+    // 🔀 Deep-merge a layer into the configuration; objects merge key by key, arrays and values replace
+    mergeLayer(target, values, layer, segments = []) {
+        const merged = { ...target };
+
+        for (const [key, value] of Object.entries(values)) {
+            const keySegments = [...segments, key];
+            if (isPlainObject(value)) {
+                if (!isPlainObject(merged[key])) {
+                    this.setSource(keySegments, null);
+                }
+                merged[key] = this.mergeLayer(isPlainObject(merged[key]) ? merged[key] : {}, value, layer, keySegments);
+            } else {
+                merged[key] = Array.isArray(value) ? [...value] : value;
+                this.setSource(keySegments, layer);
+            }
         }
 
-        // Check required fields
-        const required = ['version', 'global', 'categories'];
-        for (const field of required) {
-            if (!(field in this.config)) {
-                throw new Error(`Missing required configuration field: ${field}`);
+        return merged;
+    }
+
+    // 🏷️ Remember which layer set a value, forgetting what it replaced
+    setSource(segments, layer) {
+        const pointer = ConfigValidator.toPointer(segments);
+        for (const known of [...this.sources.keys()]) {
+            if (known === pointer || known.startsWith(`${pointer}/`)) {
+                this.sources.delete(known);
             }
         }
+        if (layer) {
+            this.sources.set(pointer, layer);
+        }
+    }
 
-        // Validate global settings
-        if (this.config.global) {
-            const validLogLevels = ['error', 'warn', 'info', 'debug'];
-            if (this.config.global.logLevel && !validLogLevels.includes(this.config.global.logLevel)) {
-                throw new Error(`Invalid log level: ${this.config.global.logLevel}`);
+    // 🏷️ Layer that set the value at a JSON pointer: { name, path }
+    getSource(pointer) {
+        return this.sources.get(pointer) || null;
+    }
+
+    // 🌱 Overrides from ULTRA_CLEANER_<SECTION>__<KEY> variables, e.g. ULTRA_CLEANER_PERFORMANCE__MAX_PARALLEL_JOBS=8
+    readEnvLayer() {
+        const validator = new ConfigValidator();
+        const values = {};
+
+        for (const [name, raw] of Object.entries(this.options.env)) {
+            // Variables without a section separator, such as ULTRA_CLEANER_BACKUP_PASSPHRASE, are not configuration
+            if (!name.startsWith(ENV_PREFIX) || !name.includes('__')) {
+                continue;
+            }
+
+            const segments = [];
+            for (const part of name.slice(ENV_PREFIX.length).split('__')) {
+                const schema = validator.schemaAt(segments);
+                const known = Object.keys((schema && schema.properties) || {});
+                const flat = part.replace(/_/g, '').toLowerCase();
+                segments.push(known.find(key => key.toLowerCase() === flat) ||
+                    part.toLowerCase().replace(/_([a-z0-9])/g, (match, letter) => letter.toUpperCase()));
             }
+
+            const parent = segments.slice(0, -1).reduce((node, key) => {
+                node[key] = isPlainObject(node[key]) ? node[key] : {};
+                return node[key];
+            }, values);
+            parent[segments[segments.length - 1]] = ConfigManager.parseEnvValue(raw, validator.schemaAt(segments));
         }
 
-        // Validate categories
-        if (this.config.categories) {
-            const validCategories = ['system', 'user', 'browsers', 'apps', 'npm', 'logs'];
-            for (const category of Object.keys(this.config.categories)) {
-                if (!validCategories.includes(category)) {
-                    console.warn(chalk.yellow(`⚠️  Unknown category: ${category}`));
+        return values;
+    }
+
+    // 🔡 Turn an environment string into the type the schema expects; mismatches are left for validation
+    static parseEnvValue(raw, schema) {
+        const types = [].concat((schema && schema.type) || []);
+        const value = raw.trim();
+
+        if (types.includes('array') && !(types.includes('string') && !value.includes(','))) {
+            if (value.startsWith('[')) {
+                return JSON.parse(value);
+            }
+            return value === '' ? [] : value.split(',').map(item => item.trim());
+        }
+        if (types.includes('boolean')) {
+            if (/^(true|1|yes|on)$/i.test(value)) return true;
+            if (/^(false|0|no|off)$/i.test(value)) return false;
+        }
+        if ((types.includes('integer') || types.includes('number')) && value !== '' && Number.isFinite(Number(value))) {
+            return Number(value);
+        }
+        if (types.length === 0) {
+            try {
+                return JSON.parse(value);
+            } catch {
+                return raw;
+            }
+        }
+        return raw;
+    }
+
+    // 🔎 Check a configuration object against the schema: { valid, errors, warnings }
+    static validate(config, { partial = false } = {}) {
+        const result = new ConfigValidator().validate(config, { partial });
+
+        // Unknown categories are allowed for plugin areas, but are often typos
+        const checkCategory = (category, segments) => {
+            if (!KNOWN_CATEGORIES.includes(category)) {
+                const suggestion = ConfigValidator.suggest(category, KNOWN_CATEGORIES);
+                result.warnings.push({
+                    pointer: ConfigValidator.toPointer(segments),
+                    message: 'unknown category, only used by plugins that clean it',
+                    ...(suggestion !== null ? { suggestion } : {})
+                });
+            }
+        };
+
+        if (isPlainObject(config?.categories)) {
+            for (const category of Object.keys(config.categories)) {
+                checkCategory(category, ['categories', category]);
+            }
+        }
+
+        if (isPlainObject(config?.profiles)) {
+            for (const [name, profile] of Object.entries(config.profiles)) {
+                if (isPlainObject(profile) && Array.isArray(profile.categories)) {
+                    profile.categories.forEach((category, index) => {
+                        if (typeof category === 'string') {
+                            checkCategory(category, ['profiles', name, 'categories', index]);
+                        }
+                    });
                 }
             }
         }
 
+        return result;
+    }
+
+    // ✅ Validate configuration structure, throwing on errors and printing warnings
+    async validateConfig() {
+        return this.reportIssues(ConfigManager.validate(this.config), path.basename(this.configPath || 'config'));
+    }
+
+    // 🧱 Validate one layer on its own; it only needs the sections it sets
+    validateLayer(layer, values) {
+        const label = layer.path ? path.basename(layer.path) : `${layer.name} layer`;
+        return this.reportIssues(ConfigManager.validate(values, { partial: true }), label);
+    }
+
+    // 📝 Print warnings, throw on errors
+    reportIssues({ valid, errors, warnings }, label) {
+        for (const warning of warnings) {
+            this.print(chalk.yellow(`⚠️  ${label}: ${ConfigValidator.formatIssue(warning)}`), process.stderr);
+        }
+
+        if (!valid) {
+            const error = new Error(`Invalid configuration in ${label}:\n${errors.map(issue => `  ${ConfigValidator.formatIssue(issue)}`).join('\n')}`);
+            error.errors = errors;
+            throw error;
+        }
+
         return true;
     }
 
+    // 📄 Validate a JSON or YAML file without loading it; syntax errors are reported as errors too.
+    // Files other than the defaults are layers, so they may leave sections out
+    async validateFile(filePath, { partial = path.resolve(filePath) !== this.defaultConfigPath } = {}) {
+        let config;
+        try {
+            config = await this.readConfigFile(filePath);
+        } catch (error) {
+            const format = YAML_EXTENSIONS.includes(path.extname(filePath).toLowerCase()) ? 'YAML' : 'JSON';
+            return {
+                valid: false,
+                errors: [{ pointer: '', message: error.code === 'ENOENT' ? 'file not found' : `not valid ${format}: ${error.message}` }],
+                warnings: []
+            };
+        }
+
+        return ConfigManager.validate(config, { partial });
+    }
+
     // 🔧 Merge command line options with config file
     mergeOptions(cliOptions) {
         if (!this.config) return cliOptions;
@@ -106,10 +346,103 @@ class ConfigManager {
 
         // Merge global settings
         if (this.config.global) {
-            merged.dryRun = cliOptions.dryRun !== undefined ? cliOptions.dryRun : this.config.global.dryRun;
+            // dryRun and enableBackup are only in cliOptions when their flag was given
+            merged.dryRun = cliOptions.dryRun !== undefined ? cliOptions.dryRun : Boolean(this.config.global.dryRun);
             merged.verbose = cliOptions.verbose !== undefined ? cliOptions.verbose : this.config.global.verbose;
             merged.parallel = cliOptions.parallel !== undefined ? cliOptions.parallel : this.config.global.parallel;
-            merged.backup = cliOptions.backup !== undefined ? cliOptions.backup : this.config.global.backup;
+            merged.enableBackup = cliOptions.enableBackup !== undefined ? cliOptions.enableBackup : this.config.global.backup !== false;
+
+            // Storage locations may use ~ and environment variables
+            const resolver = this.createPathResolver();
+            const locations = {
+                backupLocation: 'backupLocation',
+                logLocation: 'logFile',
+                analyticsLocation: 'analyticsLocation',
+                reportLocation: 'reportLocation'
+            };
+            for (const [option, key] of Object.entries(locations)) {
+                if (cliOptions[option] === undefined && this.config.global[key]) {
+                    try {
+                        merged[option] = resolver.resolvePath(this.config.global[key]);
+                    } catch (error) {
+                        throw new Error(`global.${key}: ${error.message}`);
+                    }
+                }
+            }
+        }
+
+        // Merge path policy settings
+        const security = this.config.security || {};
+        merged.securityLevel = cliOptions.securityLevel || security.level || this.config.global?.securityLevel || 'standard';
+        if (security.blockSystemPaths !== undefined) {
+            merged.blockSystemPaths = security.blockSystemPaths;
+        }
+        merged.allowedPathsOnly = Boolean(security.allowedPathsOnly);
+        merged.allowedPaths = security.allowedPaths || [];
+        merged.openFiles = security.openFiles === 'defer' ? 'defer' : 'skip';
+        merged.runningApps = security.runningApps || 'skip';
+
+        // Merge plugin settings; relative module paths are resolved next to the file that lists them
+        const plugins = this.config.plugins || {};
+        merged.pluginModules = plugins.modules || [];
+        // Discovery requires whatever matches in node_modules, so it only happens when asked for
+        merged.discoverPlugins = plugins.discover === true;
+        merged.disabledPlugins = plugins.disabled || [];
+        if (plugins.searchPaths) {
+            merged.pluginSearchPaths = plugins.searchPaths;
+        }
+        const modulesSource = this.getSource('/plugins/modules');
+        merged.pluginBaseDir = modulesSource && modulesSource.path && modulesSource.path !== this.defaultConfigPath
+            ? path.dirname(modulesSource.path)
+            : this.options.cwd;
+
+        // Merge performance settings
+        if (cliOptions.maxParallelJobs === undefined && this.config.performance?.maxParallelJobs) {
+            merged.maxParallelJobs = this.config.performance.maxParallelJobs;
+        }
+        if (this.config.performance?.scanConcurrency) {
+            merged.scanConcurrency = this.config.performance.scanConcurrency;
+        }
+        if (this.config.performance?.scanCacheSeconds !== undefined) {
+            merged.scanCacheSeconds = this.config.performance.scanCacheSeconds;
+        }
+
+        // Merge backup settings
+        if (this.config.backup) {
+            merged.backupCompression = this.config.backup.compression !== false;
+            merged.verifyBackupIntegrity = this.config.backup.verifyIntegrity !== false;
+            if (this.config.backup.maxSizeGB) {
+                merged.maxBackupSize = Math.round(this.config.backup.maxSizeGB * 1024 * 1024 * 1024);
+            }
+            if (this.config.backup.retentionDays) {
+                merged.backupRetentionDays = this.config.backup.retentionDays;
+            }
+            merged.backupAutoCleanup = this.config.backup.autoCleanup !== false;
+        }
+
+        // Backups are encrypted when either the security or the backup section asks for it
+        merged.encryptBackups = Boolean(this.config.security?.encryptBackups || this.config.backup?.encrypt);
+
+        // Merge per-category file filters, deletion strategies, backup switches and priorities
+        if (this.config.categories) {
+            merged.categoryFilters = {};
+            merged.categoryStrategies = {};
+            merged.categoryBackups = {};
+            merged.categoryPriorities = {};
+            for (const [category, settings] of Object.entries(this.config.categories)) {
+                if (settings.filters) {
+                    merged.categoryFilters[category] = settings.filters;
+                }
+                if (settings.strategy) {
+                    merged.categoryStrategies[category] = settings.strategy;
+                }
+                if (typeof settings.backup === 'boolean') {
+                    merged.categoryBackups[category] = settings.backup;
+                }
+                if (settings.priority !== undefined) {
+                    merged.categoryPriorities[category] = settings.priority;
+                }
+            }
         }
 
         // Merge custom paths
@@ -120,14 +453,141 @@ class ConfigManager {
         // Merge exclude patterns
         if (this.config.excludePatterns) {
             merged.excludePatterns = {
-                global: [...(cliOptions.excludePatterns?.global || []), ...this.config.excludePatterns.global],
+                global: [...(cliOptions.excludePatterns?.global || []), ...(this.config.excludePatterns.global || [])],
                 perCategory: { ...this.config.excludePatterns.perCategory }
             };
         }
 
+        // Merge include patterns
+        if (this.config.includePatterns) {
+            merged.includePatterns = {
+                global: [...(cliOptions.includePatterns?.global || []), ...(this.config.includePatterns.global || [])]
+            };
+        }
+
         return merged;
     }
 
+    // 🧰 Configured profiles with their inheritance applied: [{ name, description, ...settings }],
+    // or { name, error } for a profile that cannot be resolved
+    getProfiles() {
+        return Object.keys(this.config?.profiles || {}).map(name => {
+            try {
+                return { name, ...this.resolveProfile(name) };
+            } catch (error) {
+                return { name, error: error.message };
+            }
+        });
+    }
+
+    // 🧬 A profile merged over the profiles it extends; filters merge, everything else replaces
+    resolveProfile(name, chain = []) {
+        const profiles = this.config?.profiles || {};
+        const profile = profiles[name];
+
+        if (!profile) {
+            const suggestion = ConfigValidator.suggest(name, Object.keys(profiles));
+            const known = Object.keys(profiles).join(', ') || 'none';
+            throw new Error(`Unknown profile "${name}"${suggestion !== null ? `, did you mean "${suggestion}"?` : ''} (configured: ${known})`);
+        }
+        if (chain.includes(name)) {
+            throw new Error(`Profile inheritance loops: ${[...chain, name].join(' → ')}`);
+        }
+
+        const { extends: parentName, ...own } = profile;
+        if (!parentName) {
+            return { ...own };
+        }
+
+        const parent = this.resolveProfile(parentName, [...chain, name]);
+        return {
+            ...parent,
+            ...own,
+            ...(parent.filters || own.filters ? { filters: { ...parent.filters, ...own.filters } } : {})
+        };
+    }
+
+    // 🧰 Apply a profile to merged options; what was given on the command line still wins
+    applyProfile(options, name, cliOptions = {}) {
+        const profile = this.resolveProfile(name);
+        const applied = { ...options, mode: name, profile: name };
+
+        if (profile.categories) {
+            applied.customAreas = [...profile.categories];
+        }
+        if (profile.customPaths) {
+            applied.customPaths = [...(options.customPaths || []), ...profile.customPaths.filter(group => group.enabled !== false)];
+        }
+        if (profile.filters) {
+            applied.filters = FileFilter.mergeRules(profile.filters, cliOptions.filters);
+        }
+        if (profile.strategy && !cliOptions.strategy) {
+            applied.strategy = profile.strategy;
+        }
+        // --no-backup can only turn backups off
+        if (profile.backup !== undefined) {
+            applied.enableBackup = profile.backup && cliOptions.enableBackup !== false;
+        }
+        if (profile.securityLevel && !cliOptions.securityLevel) {
+            applied.securityLevel = profile.securityLevel;
+        }
+
+        return applied;
+    }
+
+    // 🗓️ Apply the schedule section for a scheduled run; --dry-run and --no-backup still apply
+    applySchedule(options, cliOptions = {}) {
+        const schedule = this.config?.schedule || {};
+        const applied = { ...options, mode: 'scheduled' };
+
+        if (schedule.categories) {
+            applied.customAreas = [...schedule.categories];
+        }
+        if (schedule.dryRun !== undefined) {
+            applied.dryRun = schedule.dryRun || Boolean(cliOptions.dryRun);
+        }
+        if (schedule.backup === false) {
+            applied.enableBackup = false;
+        }
+        if (schedule.analytics === false) {
+            applied.enableAnalytics = false;
+        }
+
+        return applied;
+    }
+
+    // 👀 The watch section with its mount points expanded like other configured paths
+    getWatch() {
+        const watch = { ...(this.config?.watch || {}) };
+        const resolver = this.createPathResolver();
+
+        watch.mountPoints = (watch.mountPoints || []).map((mount, index) => {
+            try {
+                return resolver.resolvePath(mount);
+            } catch (error) {
+                throw new Error(`watch.mountPoints[${index}]: ${error.message}`);
+            }
+        });
+        return watch;
+    }
+
+    // 👀 Apply the watch section for a cleanup started by low disk space; nobody is there to confirm it
+    applyWatch(options, cliOptions = {}) {
+        const watch = this.config?.watch || {};
+        return {
+            ...options,
+            mode: 'watch',
+            skipConfirmation: true,
+            dryRun: Boolean(watch.dryRun) || Boolean(cliOptions.dryRun)
+        };
+    }
+
+    // 🧭 Path resolver sharing this manager's home, environment and working directory
+    createPathResolver() {
+        const { homeDir, env, platform, cwd } = this.options;
+        return new PathResolver({ homeDir, env, platform, cwd });
+    }
+
     // 📂 Get custom paths for a specific category
     getCustomPathsForCategory(category) {
         if (!this.config?.customPaths) return [];
@@ -165,25 +625,7 @@ class ConfigManager {
 
     // 🎯 Pattern matching utility
     matchesPattern(filePath, pattern) {
-        // Handle different pattern formats
-        let regexPattern = pattern;
-
-        // Escape special regex characters except our wildcards and character classes
-        regexPattern = regexPattern.replace(/[.+^${}()|\\]/g, '\\$&');
-
-        // Convert glob patterns to regex
-        regexPattern = regexPattern
-            .replace(/\*\*/g, '.*')  // ** matches any characters including slashes
-            .replace(/\*/g, '[^/]*') // * matches any characters except slashes
-            .replace(/\?/g, '[^/]'); // ? matches single character except slash
-
-        try {
-            const regex = new RegExp(regexPattern, 'i');
-            return regex.test(filePath);
-        } catch (error) {
-            console.warn(`⚠️ Invalid pattern: ${pattern} - ${error.message}`);
-            return false;
-        }
+        return matchesPattern(filePath, pattern);
     }
 
     // 💾 Save current configuration
@@ -191,14 +633,26 @@ class ConfigManager {
         const savePath = targetPath || this.configPath;
 
         try {
-            await fs.writeFile(savePath, JSON.stringify(this.config, null, 2), 'utf8');
-            console.log(chalk.green(`✅ Configuration saved to: ${savePath}`));
+            const content = YAML_EXTENSIONS.includes(path.extname(savePath).toLowerCase())
+                ? yaml.dump(this.config)
+                : JSON.stringify(this.config, null, 2);
+            await fs.writeFile(savePath, content, 'utf8');
+            this.print(chalk.green(`✅ Configuration saved to: ${savePath}`), process.stdout);
             return true;
         } catch (error) {
             throw new Error(`Failed to save configuration: ${error.message}`);
         }
     }
 
+    // 🖨️ Console output, or the caller's output function when one is set
+    print(message, stream) {
+        if (this.options.output) {
+            this.options.output(message, stream);
+        } else {
+            stream.write(`${message}\n`);
+        }
+    }
+
     // 🛠️ Helper function to check if file exists
     async fileExists(filePath) {
         try {
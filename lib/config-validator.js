@@ -0,0 +1,200 @@
+const defaultSchema = require('../config/config-schema.json');
+
+// 📍 RFC 6901 JSON pointer for a path of keys and indexes
+function toPointer(segments) {
+    return segments.map(segment => `/${String(segment).replace(/~/g, '~0').replace(/\//g, '~1')}`).join('');
+}
+
+// 🔤 Edit distance between two names, used for "did you mean" suggestions
+function editDistance(a, b) {
+    const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = previous[0];
+        previous[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = previous[j];
+            previous[j] = Math.min(
+                previous[j] + 1,
+                previous[j - 1] + 1,
+                diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+            diagonal = above;
+        }
+    }
+
+    return previous[b.length];
+}
+
+// 🏷️ JSON type name of a value, telling integers and null apart like JSON Schema does
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+// 🔎 Validates configuration objects against the subset of JSON Schema (draft-07) used by config-schema.json
+class ConfigValidator {
+    constructor(schema = defaultSchema) {
+        this.schema = schema;
+    }
+
+    // 💡 Closest candidate to a misspelled name, or null when nothing is close enough
+    static suggest(name, candidates) {
+        const lowered = String(name).toLowerCase();
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (const candidate of candidates) {
+            const distance = editDistance(lowered, String(candidate).toLowerCase());
+            if (distance < bestDistance) {
+                best = candidate;
+                bestDistance = distance;
+            }
+        }
+
+        // Allow roughly one typo per four characters
+        return bestDistance <= Math.max(2, Math.floor(String(name).length / 4)) ? best : null;
+    }
+
+    // 📝 One line per issue, e.g. "/performance/maxParallelJobs: expected integer but got string "four""
+    static formatIssue(issue) {
+        const location = issue.pointer || '(root)';
+        const hint = issue.suggestion !== undefined ? `, did you mean "${issue.suggestion}"?` : '';
+        return `${location}: ${issue.message}${hint}`;
+    }
+
+    // ✅ Check a value, returning every error and unknown-key warning
+    validate(value, { partial = false } = {}) {
+        const result = { valid: true, errors: [], warnings: [] };
+        this.partial = partial;
+        this.check(value, this.schema, [], result);
+        result.valid = result.errors.length === 0;
+        return result;
+    }
+
+    // 🧭 Schema for the value at a path of keys, or null when the path is unknown
+    schemaAt(segments) {
+        let schema = this.resolve(this.schema);
+
+        for (const segment of segments) {
+            if (schema.properties && schema.properties[segment]) {
+                schema = schema.properties[segment];
+            } else if (schema.type === 'array' && schema.items) {
+                schema = schema.items;
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                schema = schema.additionalProperties;
+            } else {
+                return null;
+            }
+            schema = this.resolve(schema);
+        }
+
+        return schema;
+    }
+
+    // 🔗 Resolve a local "#/definitions/..." reference
+    resolve(schema) {
+        if (!schema.$ref) {
+            return schema;
+        }
+        if (!schema.$ref.startsWith('#/')) {
+            throw new Error(`Unsupported schema reference: ${schema.$ref}`);
+        }
+
+        return schema.$ref.slice(2).split('/').reduce((node, key) => {
+            if (!node || !(key in node)) {
+                throw new Error(`Unresolved schema reference: ${schema.$ref}`);
+            }
+            return node[key];
+        }, this.schema);
+    }
+
+    check(value, schema, segments, result) {
+        schema = this.resolve(schema);
+        const pointer = toPointer(segments);
+        const error = (message, details = {}) => result.errors.push({ pointer, message, ...details });
+
+        const actual = typeOf(value);
+        if (schema.type) {
+            const expected = [].concat(schema.type);
+            // An integer is also a number
+            const matches = expected.includes(actual) || (actual === 'integer' && expected.includes('number'));
+            if (!matches) {
+                const shown = actual === 'string' ? ` ${JSON.stringify(value)}` : '';
+                error(`expected ${expected.join(' or ')} but got ${actual}${shown}`, { expected: expected.join('|'), actual });
+                return;
+            }
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            const suggestion = typeof value === 'string' ? ConfigValidator.suggest(value, schema.enum) : null;
+            error(`expected one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')} but got ${JSON.stringify(value)}`, {
+                expected: schema.enum.join('|'),
+                actual: value,
+                ...(suggestion !== null ? { suggestion } : {})
+            });
+            return;
+        }
+
+        if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern, 'i').test(value)) {
+            error(`${JSON.stringify(value)} does not match the expected format${schema.description ? ` (${schema.description})` : ''}`, {
+                expected: schema.pattern,
+                actual: value
+            });
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                error(`expected a number >= ${schema.minimum} but got ${value}`, { expected: `>= ${schema.minimum}`, actual: value });
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                error(`expected a number > ${schema.exclusiveMinimum} but got ${value}`, { expected: `> ${schema.exclusiveMinimum}`, actual: value });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                error(`expected a number <= ${schema.maximum} but got ${value}`, { expected: `<= ${schema.maximum}`, actual: value });
+            }
+        }
+
+        if (actual === 'array' && schema.items) {
+            value.forEach((item, index) => this.check(item, schema.items, [...segments, index], result));
+        }
+
+        if (actual === 'object') {
+            this.checkObject(value, schema, segments, result);
+        }
+    }
+
+    checkObject(value, schema, segments, result) {
+        const properties = schema.properties || {};
+
+        // A layer may leave out top-level sections, but what it does define must be complete
+        const required = this.partial && segments.length === 0 ? [] : schema.required || [];
+        for (const key of required) {
+            if (!(key in value)) {
+                result.errors.push({ pointer: toPointer([...segments, key]), message: 'is required', expected: 'present' });
+            }
+        }
+
+        for (const [key, child] of Object.entries(value)) {
+            if (properties[key]) {
+                this.check(child, properties[key], [...segments, key], result);
+            } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+                this.check(child, schema.additionalProperties, [...segments, key], result);
+            } else if (schema.additionalProperties === false) {
+                // Unknown keys are ignored by the cleaner, so they only warn
+                const suggestion = ConfigValidator.suggest(key, Object.keys(properties));
+                result.warnings.push({
+                    pointer: toPointer([...segments, key]),
+                    message: 'unknown key',
+                    ...(suggestion !== null ? { suggestion } : {})
+                });
+            }
+        }
+    }
+}
+
+ConfigValidator.toPointer = toPointer;
+
+module.exports = ConfigValidator;
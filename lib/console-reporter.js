@@ -0,0 +1,294 @@
+const chalk = require('chalk');
+const bytes = require('bytes');
+const boxen = require('boxen');
+const gradient = require('gradient-string');
+const ProgressView = require('./progress-view');
+
+// ProgressTask methods for each target:done level
+const LEVEL_METHODS = {
+    success: 'succeed',
+    error: 'fail',
+    warning: 'warn',
+    info: 'info'
+};
+
+// 🖥️ Renders a cleaner's events to the terminal: banners, live target progress and summary boxes
+class ConsoleReporter {
+    constructor(options = {}) {
+        this.options = {
+            stdout: process.stdout,
+            stderr: process.stderr,
+            ...options
+        };
+
+        this.view = null;
+        this.tasks = new Map();
+        this.standalone = false;
+    }
+
+    // 🔌 Subscribe to a cleaner's events
+    attach(cleaner) {
+        cleaner.on('session:start', event => this.onSessionStart(event));
+        cleaner.on('paths:resolved', event => this.onPathsResolved(event));
+        cleaner.on('goal:planned', event => this.onGoalPlanned(event));
+        cleaner.on('targets:start', () => this.startView());
+        cleaner.on('area:start', event => this.onAreaStart(event));
+        cleaner.on('target:queued', event => this.getTask(event));
+        cleaner.on('target:start', event => this.getTask(event).start());
+        cleaner.on('target:done', event => this.onTargetDone(event));
+        cleaner.on('targets:end', () => this.stopView());
+        cleaner.on('log', event => this.log(event.message, event.stream));
+        cleaner.on('plan:created', plan => this.onPlanCreated(plan));
+        cleaner.on('session:end', result => this.onSessionEnd(result));
+        return this;
+    }
+
+    // 🎨 Get emoji for category
+    static getCategoryEmoji(category) {
+        const emojis = {
+            system: '💻',
+            user: '👤',
+            browser: '🌐',
+            app: '📱',
+            npm: '📦',
+            log: '📋',
+            general: '🧹'
+        };
+        return emojis[category] || '🧽';
+    }
+
+    // 🖨️ Print a line, above the live progress region while one is shown
+    log(message, stream = 'stdout') {
+        const target = stream === 'stderr' ? this.options.stderr : this.options.stdout;
+        if (this.view) {
+            this.view.log(message, target);
+        } else {
+            target.write(`${message}\n`);
+        }
+    }
+
+    // 🧵 Live view for a batch of targets
+    startView() {
+        this.view = new ProgressView({ stream: this.options.stderr });
+        this.tasks.clear();
+    }
+
+    // 🏁 Print what is left of the batch and drop the live view
+    stopView() {
+        if (this.view) {
+            this.view.stop();
+            this.view = null;
+        }
+    }
+
+    // 📋 Task line for a target, created when the target is queued
+    getTask(target) {
+        if (!this.tasks.has(target.id)) {
+            // A target cleaned on its own, outside of a batch
+            if (!this.view) {
+                this.startView();
+                this.standalone = true;
+            }
+            this.tasks.set(target.id, this.view.task(`${ConsoleReporter.getCategoryEmoji(target.category)} ${target.description}`));
+        }
+        return this.tasks.get(target.id);
+    }
+
+    onSessionStart({ kind, plan }) {
+        const banners = {
+            cleanup: '\n🚀 Starting Ultra System Cleanup...\n',
+            scan: '\n🔎 Scanning cleanup targets...\n',
+            apply: `\n🚀 Applying cleanup plan from ${plan?.createdAt}...\n`
+        };
+        this.log(gradient('#ff6b6b', '#4ecdc4')(banners[kind] || banners.cleanup));
+    }
+
+    // 🧭 Say what a custom path pattern matched; literal paths speak for themselves
+    onPathsResolved({ pattern, glob, paths, truncated, error }) {
+        if (error) {
+            this.log(chalk.yellow(`⚠️  Skipping custom path ${pattern}: ${error}`), 'stderr');
+        } else if (glob && paths.length === 0) {
+            this.log(chalk.yellow(`⚠️  Custom path ${pattern} matched nothing`), 'stderr');
+        } else if (glob) {
+            const count = `${paths.length} ${paths.length === 1 ? 'directory' : 'directories'}${truncated ? ', stopped at the match limit' : ''}`;
+            this.log(chalk.gray(`🧭 ${pattern} matched ${count}`));
+        }
+    }
+
+    // 🎯 Ranked targets for a free space goal and where cleaning is expected to stop
+    onGoalPlanned({ mount, free, target, needed, targets, stopIndex }) {
+        this.log(chalk.cyan(`\n🎯 ${mount}: ${bytes(free)} free, goal ${bytes(target)}`) +
+            (needed > 0 ? chalk.cyan(`, ${bytes(needed)} to reclaim`) : chalk.green(', already met')));
+
+        targets.forEach((entry, index) => {
+            const line = `   ${index + 1}. ${entry.description} (${entry.category}, ${entry.risk} risk): ${bytes(entry.size)} → ${bytes(entry.projectedFree)} free`;
+            if (index === stopIndex) {
+                this.log(chalk.green(`${line}  ⏹️  projected stop`));
+            } else {
+                this.log(index > stopIndex ? chalk.gray(line) : line);
+            }
+        });
+
+        if (needed > 0 && stopIndex >= targets.length) {
+            this.log(chalk.yellow(`   Cleaning every target is projected to fall ${bytes(target - targets.reduce((sum, entry) => sum + entry.size, free))} short`));
+        }
+    }
+
+    onAreaStart({ area, title }) {
+        if (!this.view) {
+            this.startView();
+        }
+        this.view.section(chalk.magenta(`\n${ConsoleReporter.getCategoryEmoji(area)} ${title}`));
+    }
+
+    onTargetDone(event) {
+        const task = this.getTask(event);
+        task[LEVEL_METHODS[event.level] || 'info'](event.message);
+
+        if (this.standalone) {
+            this.standalone = false;
+            this.stopView();
+        }
+    }
+
+    onPlanCreated(plan) {
+        this.log(chalk.green(`\n📋 Plan: ${plan.totals.targets} targets, ${plan.totals.files.toLocaleString()} files, ${bytes(plan.totals.size)}`));
+    }
+
+    onSessionEnd(result) {
+        this.displayResults(result);
+        if (result.goal) {
+            this.displayGoal(result.goal);
+        }
+        this.displaySecuritySummary(result.security);
+        this.displayAnalyticsSummary(result.analytics);
+
+        if (result.reportPath) {
+            this.log(chalk.green(`\n📊 Analytics report exported: ${result.reportPath}`));
+
+            // Show a preview for HTML reports
+            if (result.reportFormat === 'html') {
+                this.log(chalk.gray(`   Open in browser to view charts and detailed analysis`));
+            }
+        }
+    }
+
+    // 🎊 Display beautiful results
+    displayResults(result) {
+        const duration = (result.duration / 1000).toFixed(1);
+        const speedMBps = result.totals.size > 0 ?
+            ((result.totals.size / (1024 * 1024)) / Math.max(parseFloat(duration), 0.1)).toFixed(1) : 0;
+
+        const resultBox = boxen(
+            `${chalk.green.bold('🎉 CLEANUP COMPLETED SUCCESSFULLY! 🎉')}\n\n` +
+            `${chalk.white('⏱️  Duration:')} ${chalk.cyan(duration + ' seconds')}\n` +
+            `${chalk.white('📁 Files processed:')} ${chalk.cyan(result.totals.files.toLocaleString())}\n` +
+            `${chalk.white('💾 Data processed:')} ${chalk.cyan(bytes(result.totals.size))}\n` +
+            `${result.totals.trashed > 0 ? `${chalk.white('🗑️  Moved to trash:')} ${chalk.cyan(bytes(result.totals.trashed))}\n` : ''}` +
+            `${chalk.white('🎯 Areas cleaned:')} ${chalk.cyan(result.totals.targets)}\n` +
+            `${chalk.white('⚡ Speed:')} ${chalk.cyan(speedMBps + ' MB/s')}\n\n` +
+            `${chalk.gray('🔄 Run monthly for optimal performance!')}\n` +
+            `${chalk.gray('⭐ Star us on GitHub: https://github.com/Gzeu/ultra-system-cleaner')}`,
+            {
+                padding: 1,
+                margin: 1,
+                borderStyle: 'double',
+                borderColor: 'green',
+                backgroundColor: '#0d4f3c'
+            }
+        );
+
+        this.log('\n' + resultBox);
+
+        // Performance message
+        if (result.totals.size > 1024 * 1024 * 1024) { // > 1GB
+            this.log(gradient('#FFD700', '#FFA500')('\n🏆 EXCELLENT! Very effective cleanup!\n'));
+        } else if (result.totals.size > 100 * 1024 * 1024) { // > 100MB
+            this.log(chalk.green('\n👍 Good cleanup results!\n'));
+        }
+    }
+
+    // 🎯 Whether the free space goal was met and what was left alone
+    displayGoal(goal) {
+        const free = `${bytes(goal.freeAfter)} ${goal.projected ? 'projected to be ' : ''}free on ${goal.mount} (goal ${bytes(goal.target)}, was ${bytes(goal.freeBefore)})`;
+        this.log(goal.met ? chalk.green(`🎯 Goal met: ${free}`) : chalk.yellow(`🎯 Goal not met: ${free}`));
+
+        if (goal.untouched.length > 0) {
+            this.log(chalk.gray(`   Left untouched (${bytes(goal.untouched.reduce((sum, entry) => sum + entry.size, 0))}):`));
+            for (const entry of goal.untouched) {
+                this.log(chalk.gray(`   • ${entry.description}: ${bytes(entry.size)} (${entry.reason})`));
+            }
+        }
+    }
+
+    // 🔐 Display security summary
+    displaySecuritySummary(securitySummary) {
+        if (securitySummary.totalOperations === 0) {
+            return;
+        }
+
+        const securityBox = boxen(
+            `${chalk.blue.bold('🔐 SECURITY SUMMARY')}\n\n` +
+            `${chalk.white('📊 Operations:')} ${chalk.cyan(securitySummary.totalOperations)}\n` +
+            `${chalk.white('✅ Success:')} ${chalk.green(securitySummary.successes)}\n` +
+            `${chalk.white('⚠️  Warnings:')} ${chalk.yellow(securitySummary.warnings)}\n` +
+            `${chalk.white('❌ Errors:')} ${chalk.red(securitySummary.errors)}\n` +
+            `${chalk.white('💾 Backups:')} ${chalk.cyan(securitySummary.backups)}\n` +
+            `${securitySummary.skippedBackups > 0 ? `${chalk.white('🚫 Cleaned without backup:')} ${chalk.yellow(securitySummary.skippedBackups)}\n` : ''}` +
+            securitySummary.details.skippedBackups
+                .map(skipped => chalk.yellow(`   • ${skipped.path} (${skipped.reason}, ~${bytes(skipped.estimatedSize)})\n`))
+                .join('') +
+            `${securitySummary.boundarySkips > 0 ? `${chalk.white('🔗 Skipped at mount/symlink boundaries:')} ${chalk.yellow(securitySummary.boundarySkips)}\n` : ''}` +
+            securitySummary.details.boundarySkips
+                .slice(0, 10)
+                .map(skipped => chalk.yellow(`   • ${skipped.path} (${skipped.reason})\n`))
+                .join('') +
+            (securitySummary.boundarySkips > 10 ? chalk.yellow(`   • … ${securitySummary.boundarySkips - 10} more in the security report\n`) : '') +
+            `${securitySummary.blocked > 0 ? `${chalk.white('⛔ Blocked by path policy:')} ${chalk.red(securitySummary.blocked)}\n` : ''}` +
+            securitySummary.details.blocked
+                .map(blocked => chalk.red(`   • ${blocked.path} (${blocked.reason}${blocked.rule ? `: ${blocked.rule}` : ''})\n`))
+                .join('') +
+            '\n' +
+            `${chalk.gray(`📋 Detailed logs saved to: ${securitySummary.logPath}`)}\n` +
+            `${chalk.gray(`💾 Backups location: ${securitySummary.backupDir}`)}`,
+            {
+                padding: 1,
+                margin: 1,
+                borderStyle: 'double',
+                borderColor: 'blue',
+                backgroundColor: '#1a1a2e'
+            }
+        );
+
+        this.log('\n' + securityBox);
+    }
+
+    // 📊 Display analytics summary
+    displayAnalyticsSummary(analyticsSummary) {
+        if (!analyticsSummary || analyticsSummary.totalSessions === 0) {
+            return;
+        }
+
+        const analyticsBox = boxen(
+            `${chalk.magenta.bold('📊 ANALYTICS SUMMARY')}\n\n` +
+            `${chalk.white('📈 Total Sessions:')} ${chalk.cyan(analyticsSummary.totalSessions)}\n` +
+            `${chalk.white('📁 Files Cleaned:')} ${chalk.cyan(analyticsSummary.totalFilesCleaned.toLocaleString())}\n` +
+            `${chalk.white('💾 Space Recovered:')} ${chalk.cyan(bytes(analyticsSummary.totalSpaceRecovered))}\n` +
+            `${analyticsSummary.totalSpaceTrashed > 0 ? `${chalk.white('🗑️  Moved to Trash:')} ${chalk.cyan(bytes(analyticsSummary.totalSpaceTrashed))}\n` : ''}` +
+            `${chalk.white('📊 Average per Session:')} ${chalk.cyan(bytes(Math.round(analyticsSummary.averageSessionSize)))}\n` +
+            `${analyticsSummary.mostActiveDay ? `${chalk.white('📅 Most Active Day:')} ${chalk.cyan(analyticsSummary.mostActiveDay)}\n` : ''}` +
+            `${chalk.gray(`📋 Detailed analytics saved to: ${analyticsSummary.location}`)}`,
+            {
+                padding: 1,
+                margin: 1,
+                borderStyle: 'double',
+                borderColor: 'magenta',
+                backgroundColor: '#1a1a2e'
+            }
+        );
+
+        this.log('\n' + analyticsBox);
+    }
+}
+
+module.exports = ConsoleReporter;
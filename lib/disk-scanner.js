@@ -0,0 +1,219 @@
+const fs = require('fs').promises;
+const path = require('path');
+const FileFilter = require('./file-filter');
+const JobPool = require('./job-pool');
+
+// Size of the blocks reported in stat.blocks, regardless of the filesystem block size
+const STAT_BLOCK_SIZE = 512;
+
+class DiskScanner {
+    constructor(options = {}) {
+        this.options = {
+            concurrency: 32,
+            cacheTtlMs: 5 * 60 * 1000,
+            ...options
+        };
+
+        this.active = 0;
+        this.waiting = [];
+        this.cache = new Map();
+    }
+
+    // 🚦 Run a filesystem call once a slot is free, shared by every scan of this scanner
+    async limit(task) {
+        if (this.active >= this.options.concurrency) {
+            await new Promise(resolve => this.waiting.push(resolve));
+        }
+
+        this.active++;
+        try {
+            return await task();
+        } finally {
+            this.active--;
+            const next = this.waiting.shift();
+            if (next) next();
+        }
+    }
+
+    // 🔑 Cache key for a scan of a root with a given filter
+    cacheKey(rootPath, filter, recursive) {
+        return `${path.resolve(rootPath)}\u0000${recursive}\u0000${JSON.stringify(filter.rules)}`;
+    }
+
+    // ♻️ Forget cached scans that overlap a path, e.g. after files were removed below it
+    invalidate(targetPath) {
+        for (const [key, entry] of this.cache) {
+            if (JobPool.overlaps(entry.root, targetPath)) {
+                this.cache.delete(key);
+            }
+        }
+    }
+
+    // 🧭 Canonical path of a target root and the filesystem it lives on
+    async resolveRoot(rootPath) {
+        const root = await fs.realpath(rootPath);
+        const { dev } = await fs.stat(root);
+        return { root, dev };
+    }
+
+    // 🛡️ Check that a file still sits below the root, on the root's filesystem, without symlinked parents
+    async isContained(filePath, { root, dev }, resolvedDirs = new Map()) {
+        const dir = path.dirname(filePath);
+
+        if (!resolvedDirs.has(dir)) {
+            resolvedDirs.set(dir, (async () => {
+                try {
+                    const realDir = await fs.realpath(dir);
+                    const relative = path.relative(root, realDir);
+                    if (relative.startsWith('..') || path.isAbsolute(relative)) {
+                        return 'symlink-escape';
+                    }
+                    return (await fs.stat(realDir)).dev === dev ? null : 'mount-boundary';
+                } catch (err) {
+                    return 'missing';
+                }
+            })());
+        }
+
+        const reason = await resolvedDirs.get(dir);
+        if (reason) {
+            return reason;
+        }
+
+        // The parent may be fine while the entry itself was swapped for a mount point
+        try {
+            const stat = await fs.lstat(filePath);
+            return stat.dev === dev ? null : 'mount-boundary';
+        } catch (err) {
+            return 'missing';
+        }
+    }
+
+    // 🔎 Scan a root and return the files that pass the filter
+    async scan(rootPath, { filter = new FileFilter(), recursive = true, useCache = true } = {}) {
+        const key = this.cacheKey(rootPath, filter, recursive);
+        const cached = this.cache.get(key);
+
+        if (useCache && cached && Date.now() - cached.scannedAt < this.options.cacheTtlMs) {
+            return { ...cached.selection, cached: true };
+        }
+
+        const selection = await this.walk(rootPath, filter, recursive);
+        this.cache.set(key, { root: path.resolve(rootPath), scannedAt: Date.now(), selection });
+        return { ...selection, cached: false };
+    }
+
+    // 🚶 Walk the tree concurrently and total each inode only once
+    async walk(rootPath, filter, recursive) {
+        const selection = {
+            files: [],
+            size: 0,
+            allocated: 0,
+            count: 0,
+            skipped: 0,
+            excluded: 0,
+            hardlinks: 0,
+            root: null,
+            dev: null,
+            unsafe: []
+        };
+        const candidates = [];
+
+        try {
+            Object.assign(selection, await this.resolveRoot(rootPath));
+        } catch (err) {
+            // Target vanished or can't be resolved
+            return selection;
+        }
+
+        const visit = async (currentPath) => {
+            let items;
+            try {
+                items = await this.limit(() => fs.readdir(currentPath, { withFileTypes: true }));
+            } catch (err) {
+                // Skip permission errors
+                return;
+            }
+
+            await Promise.all(items.map(async (item) => {
+                const fullPath = path.join(currentPath, item.name);
+
+                let stat;
+                try {
+                    stat = await this.limit(() => fs.lstat(fullPath));
+                } catch (err) {
+                    // Skip files that vanished or can't be read
+                    return;
+                }
+
+                // Never cross into another filesystem, such as a FUSE or bind mount inside a cache
+                if (stat.dev !== selection.dev) {
+                    selection.unsafe.push({ path: fullPath, reason: 'mount-boundary' });
+                    return;
+                }
+
+                // Trust lstat over the dirent: some filesystems don't report entry types.
+                // Symlinks are never followed; removing one only removes the link itself.
+                if (stat.isDirectory()) {
+                    if (!recursive) {
+                        return;
+                    }
+                    if (filter.excludesDirectory(fullPath)) {
+                        selection.excluded++;
+                        return;
+                    }
+                    await visit(fullPath);
+                    return;
+                }
+
+                const reason = filter.evaluate(fullPath, stat);
+                if (reason === 'excluded') {
+                    selection.excluded++;
+                } else if (reason) {
+                    selection.skipped++;
+                } else {
+                    candidates.push({ path: fullPath, stat });
+                }
+            }));
+        };
+
+        await visit(selection.root);
+
+        // Sorted so results, plans and hardlink attribution don't depend on scheduling
+        candidates.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+        selection.unsafe.sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+
+        const seenInodes = new Set();
+        for (const { path: filePath, stat } of candidates) {
+            const allocated = stat.blocks !== undefined ? stat.blocks * STAT_BLOCK_SIZE : stat.size;
+
+            // Further links to an inode free nothing on their own, count its size once
+            let duplicate = false;
+            if (stat.nlink > 1 && stat.ino) {
+                const inode = `${stat.dev}:${stat.ino}`;
+                duplicate = seenInodes.has(inode);
+                seenInodes.add(inode);
+            }
+
+            selection.files.push({
+                path: filePath,
+                size: stat.size,
+                allocated,
+                mtimeMs: stat.mtimeMs,
+                ...(duplicate ? { hardlink: true } : {})
+            });
+            selection.count++;
+
+            if (duplicate) {
+                selection.hardlinks++;
+            } else {
+                selection.size += stat.size;
+                selection.allocated += allocated;
+            }
+        }
+
+        return selection;
+    }
+}
+
+module.exports = DiskScanner;
@@ -0,0 +1,222 @@
+const fs = require('fs').promises;
+const EventEmitter = require('events');
+const bytes = require('bytes');
+
+// 💽 Watches free space on mount points and asks for a cleanup when it runs low.
+// A mount triggers once when it falls below minFree and only re-arms after climbing back above resumeFree,
+// and cleanups are at least cooldownMinutes apart however many mounts ask for one
+class DiskWatcher extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.options = {
+            mountPoints: [],
+            // Bytes, a size such as "10GB" or a share of the disk such as "10%"
+            minFree: '10%',
+            resumeFree: '15%',
+            intervalSeconds: 300,
+            cooldownMinutes: 60,
+            // async ({ mounts }) => result of the cleanup
+            cleanup: null,
+            statfs: fs.statfs,
+            now: Date.now,
+            ...options
+        };
+
+        if (typeof this.options.cleanup !== 'function') {
+            throw new Error('DiskWatcher needs a cleanup function');
+        }
+        if (this.options.mountPoints.length === 0) {
+            throw new Error('DiskWatcher needs at least one mount point');
+        }
+        // fs.promises.statfs arrived in Node.js 18.15
+        if (typeof this.options.statfs !== 'function') {
+            throw new Error(`Watching free space needs Node.js 18.15 or later (running ${process.version})`);
+        }
+
+        // Reject a malformed threshold now rather than at every check
+        DiskWatcher.parseThreshold(this.options.minFree, 0);
+        DiskWatcher.parseThreshold(this.options.resumeFree, 0);
+
+        // Per mount: whether falling below minFree triggers a cleanup
+        this.armed = new Map(this.options.mountPoints.map(mount => [mount, true]));
+        this.lastCleanupAt = null;
+        this.running = null;
+        this.timer = null;
+        this.started = false;
+        // Set by stop(); a check that sees it no longer starts a cleanup
+        this.stopped = false;
+    }
+
+    // 📏 A threshold in bytes for a disk of the given size
+    static parseThreshold(value, total) {
+        if (typeof value === 'number') {
+            return value;
+        }
+
+        const percent = /^\s*(\d+(?:\.\d+)?)\s*%\s*$/.exec(String(value));
+        if (percent) {
+            return Math.round(total * parseFloat(percent[1]) / 100);
+        }
+
+        const parsed = bytes.parse(String(value));
+        if (parsed === null || Number.isNaN(parsed)) {
+            throw new Error(`Invalid free space threshold: ${value} (expected bytes, a size such as "10GB" or a percentage)`);
+        }
+        return parsed;
+    }
+
+    // 📊 Free and total space of a mount point
+    async measure(mount) {
+        const stats = await this.options.statfs(mount);
+        const total = stats.blocks * stats.bsize;
+        // Space available to unprivileged users, like df shows
+        const free = stats.bavail * stats.bsize;
+
+        const minFree = DiskWatcher.parseThreshold(this.options.minFree, total);
+
+        return {
+            mount,
+            free,
+            total,
+            minFree,
+            // A resume level below minFree would re-arm straight away
+            resumeFree: Math.max(minFree, DiskWatcher.parseThreshold(this.options.resumeFree, total))
+        };
+    }
+
+    // ⚙️ What is watched and when it cleans, as announced by watch:start
+    getSettings() {
+        const { mountPoints, minFree, resumeFree, intervalSeconds, cooldownMinutes } = this.options;
+        return { mountPoints: [...mountPoints], minFree, resumeFree, intervalSeconds, cooldownMinutes };
+    }
+
+    // ▶️ Check now and then every intervalSeconds until stop()
+    start() {
+        if (this.started) {
+            return this;
+        }
+        this.started = true;
+        this.stopped = false;
+        this.emit('watch:start', this.getSettings());
+        this.tick();
+        return this;
+    }
+
+    // ⏹️ Stop checking; resolves once a cleanup that is already running has finished
+    async stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        this.timer = null;
+
+        if (this.running) {
+            this.emit('watch:draining');
+            await this.running.catch(() => {});
+        }
+        this.emit('watch:stop');
+    }
+
+    async tick() {
+        try {
+            this.running = this.check();
+            await this.running;
+        } catch (error) {
+            this.emit('watch:error', { message: error.message });
+        } finally {
+            this.running = null;
+        }
+
+        if (!this.stopped) {
+            this.timer = setTimeout(() => this.tick(), this.options.intervalSeconds * 1000);
+        }
+    }
+
+    // 🔍 Measure every mount point and clean when one that is armed ran low: { mounts, triggered, result }
+    async check() {
+        const mounts = [];
+        for (const mount of this.options.mountPoints) {
+            try {
+                mounts.push(await this.measure(mount));
+            } catch (error) {
+                this.emit('watch:error', { mount, message: `Cannot read free space of ${mount}: ${error.message}` });
+            }
+        }
+
+        const low = [];
+        for (const state of mounts) {
+            // Hysteresis: a mount that has triggered waits until it is comfortably free again
+            if (!this.armed.get(state.mount) && state.free >= state.resumeFree) {
+                this.armed.set(state.mount, true);
+                this.emit('watch:rearmed', state);
+            }
+            if (state.free < state.minFree && this.armed.get(state.mount)) {
+                low.push(state);
+            }
+        }
+
+        this.emit('watch:check', { mounts });
+        if (low.length === 0 || this.stopped) {
+            return { mounts, triggered: false, result: null };
+        }
+
+        const now = this.options.now();
+        const cooldownMs = this.options.cooldownMinutes * 60 * 1000;
+        if (this.lastCleanupAt !== null && now - this.lastCleanupAt < cooldownMs) {
+            // Still armed, so the next check after the cooldown tries again
+            this.emit('watch:cooldown', { mounts: low, nextCleanupAt: new Date(this.lastCleanupAt + cooldownMs).toISOString() });
+            return { mounts, triggered: false, result: null };
+        }
+
+        for (const state of low) {
+            this.armed.set(state.mount, false);
+        }
+        this.lastCleanupAt = now;
+        this.emit('watch:trigger', { mounts: low });
+
+        let result;
+        try {
+            result = await this.options.cleanup({ mounts: low });
+        } catch (error) {
+            // A cleanup that failed did not make room; try again once the cooldown is over
+            for (const state of low) {
+                this.armed.set(state.mount, true);
+            }
+            throw error;
+        }
+
+        // How much room the cleanup made on each mount that asked for it
+        const after = [];
+        for (const state of low) {
+            try {
+                const measured = await this.measure(state.mount);
+                after.push({ ...measured, freed: measured.free - state.free });
+            } catch {
+                after.push({ ...state, freed: null });
+            }
+        }
+        this.emit('watch:cleaned', { mounts: after, result });
+
+        return { mounts, triggered: true, result };
+    }
+
+    // 🏷️ "/home: 4.2GB free of 100GB (4%)"
+    static describe(state) {
+        const percent = state.total > 0 ? Math.round(state.free / state.total * 100) : 0;
+        return `${state.mount}: ${bytes(state.free)} free of ${bytes(state.total)} (${percent}%)`;
+    }
+}
+
+// Everything a watcher emits, in the order a check goes through them
+DiskWatcher.EVENTS = [
+    'watch:start',
+    'watch:check',
+    'watch:rearmed',
+    'watch:cooldown',
+    'watch:trigger',
+    'watch:cleaned',
+    'watch:error',
+    'watch:draining',
+    'watch:stop'
+];
+
+module.exports = DiskWatcher;
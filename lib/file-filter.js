@@ -0,0 +1,139 @@
+const bytes = require('bytes');
+const { compilePattern } = require('./pattern-matcher');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class FileFilter {
+    constructor(rules = {}) {
+        this.rules = FileFilter.normalizeRules(rules);
+        this.now = Date.now();
+
+        // Compiled once per filter; an invalid pattern throws here, where the target reports it
+        this.matchers = {};
+        for (const key of ['patterns', 'exclude', 'include']) {
+            this.matchers[key] = this.rules[key].map(compilePattern);
+        }
+    }
+
+    // 🔧 Normalize raw rules from CLI, config or target definitions
+    static normalizeRules(rules = {}) {
+        const normalized = {
+            olderThanDays: null,
+            minSize: null,
+            patterns: [],
+            exclude: [],
+            include: []
+        };
+
+        if (rules.olderThanDays !== undefined && rules.olderThanDays !== null) {
+            const days = Number(rules.olderThanDays);
+            if (!Number.isFinite(days) || days < 0) {
+                throw new Error(`Invalid age filter: ${rules.olderThanDays}`);
+            }
+            normalized.olderThanDays = days;
+        }
+
+        if (rules.minSize !== undefined && rules.minSize !== null) {
+            const size = typeof rules.minSize === 'number' ? rules.minSize : bytes.parse(String(rules.minSize));
+            if (size === null || !Number.isFinite(size) || size < 0) {
+                throw new Error(`Invalid size filter: ${rules.minSize}`);
+            }
+            normalized.minSize = size;
+        }
+
+        if (rules.patterns) {
+            normalized.patterns = Array.isArray(rules.patterns) ? [...rules.patterns] : [rules.patterns];
+        }
+
+        for (const key of ['exclude', 'include']) {
+            if (rules[key]) {
+                normalized[key] = Array.isArray(rules[key]) ? [...rules[key]] : [rules[key]];
+            }
+        }
+
+        return normalized;
+    }
+
+    // 🔀 Merge rule sets, later sets take precedence
+    static mergeRules(...ruleSets) {
+        return ruleSets
+            .filter(Boolean)
+            .reduce((merged, rules) => {
+                for (const [key, value] of Object.entries(rules)) {
+                    if (value !== undefined && value !== null) {
+                        merged[key] = value;
+                    }
+                }
+                return merged;
+            }, {});
+    }
+
+    // ❓ Check if any rule is configured
+    isActive() {
+        return this.rules.olderThanDays !== null ||
+            this.rules.minSize !== null ||
+            this.rules.patterns.length > 0;
+    }
+
+    // 🔍 Check a path against one of the pattern lists
+    matchesAny(key, filePath) {
+        return this.matchers[key].some(matches => matches(filePath));
+    }
+
+    // 🚫 Check whether a directory is excluded as a whole
+    excludesDirectory(dirPath) {
+        return this.rules.exclude.length > 0 && this.matchesAny('exclude', `${dirPath}/`);
+    }
+
+    // 🔍 Evaluate a file: null when it qualifies, otherwise the reason it was kept
+    evaluate(filePath, stat) {
+        if (this.rules.exclude.length > 0 && this.matchesAny('exclude', filePath)) {
+            return 'excluded';
+        }
+
+        if (this.rules.include.length > 0 && !this.matchesAny('include', filePath)) {
+            return 'excluded';
+        }
+
+        if (this.rules.olderThanDays !== null) {
+            const ageMs = this.now - stat.mtimeMs;
+            if (ageMs < this.rules.olderThanDays * DAY_MS) {
+                return 'filtered';
+            }
+        }
+
+        if (this.rules.minSize !== null && stat.size < this.rules.minSize) {
+            return 'filtered';
+        }
+
+        if (this.rules.patterns.length > 0 && !this.matchesAny('patterns', filePath)) {
+            return 'filtered';
+        }
+
+        return null;
+    }
+
+    // ✅ Check whether a file qualifies for removal
+    matches(filePath, stat) {
+        return this.evaluate(filePath, stat) === null;
+    }
+
+    // 📝 Human readable description of the active rules
+    describe() {
+        const parts = [];
+
+        if (this.rules.olderThanDays !== null) {
+            parts.push(`older than ${this.rules.olderThanDays}d`);
+        }
+        if (this.rules.minSize !== null) {
+            parts.push(`larger than ${bytes(this.rules.minSize)}`);
+        }
+        if (this.rules.patterns.length > 0) {
+            parts.push(`matching ${this.rules.patterns.join(', ')}`);
+        }
+
+        return parts.length > 0 ? parts.join(', ') : 'all files';
+    }
+}
+
+module.exports = FileFilter;
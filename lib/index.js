@@ -7,13 +7,30 @@
  */
 
 const UltraSystemCleaner = require('./cleaner');
+const SecurityManager = require('./security-manager');
+const AnalyticsManager = require('./analytics-manager');
+const ConfigManager = require('./config-manager');
+const ConsoleReporter = require('./console-reporter');
+const PluginRegistry = require('./plugin-registry');
+const PathResolver = require('./path-resolver');
+const DiskWatcher = require('./disk-watcher');
+const SpaceGoal = require('./space-goal');
 
 module.exports = {
     UltraSystemCleaner,
+    SecurityManager,
+    AnalyticsManager,
+    ConfigManager,
+    // Terminal rendering is opt-in: new UltraSystemCleaner({ reporter: new ConsoleReporter() })
+    ConsoleReporter,
+    PluginRegistry,
+    PathResolver,
+    DiskWatcher,
+    SpaceGoal,
     // For convenience, also export as default
     default: UltraSystemCleaner
 };
 
 // Also allow require('ultra-system-cleaner').UltraSystemCleaner
 // or require('ultra-system-cleaner') directly for the class
-module.exports.UltraSystemCleaner = UltraSystemCleaner;
\ No newline at end of file
+module.exports.UltraSystemCleaner = UltraSystemCleaner;
@@ -0,0 +1,68 @@
+const path = require('path');
+
+class JobPool {
+    constructor(options = {}) {
+        this.concurrency = Math.max(1, parseInt(options.concurrency, 10) || 1);
+    }
+
+    // 🔗 Two targets overlap when one contains the other
+    static overlaps(first, second) {
+        const a = path.resolve(first);
+        const b = path.resolve(second);
+        const contains = (parent, child) => {
+            const relative = path.relative(parent, child);
+            return !relative.startsWith('..') && !path.isAbsolute(relative);
+        };
+        return contains(a, b) || contains(b, a);
+    }
+
+    // 🏃 Run jobs with bounded concurrency, results keep the order of the jobs
+    run(jobs, worker) {
+        const results = new Array(jobs.length);
+        const pending = jobs.map((job, index) => ({ job, index }));
+        const running = new Set();
+
+        return new Promise((resolve, reject) => {
+            // A job may start once no running or earlier pending job overlaps its key
+            const isBlocked = (candidate, position) => {
+                if (candidate.job.key === undefined) return false;
+                for (const active of running) {
+                    if (active.job.key !== undefined && JobPool.overlaps(active.job.key, candidate.job.key)) return true;
+                }
+                return pending.slice(0, position).some(earlier =>
+                    earlier.job.key !== undefined && JobPool.overlaps(earlier.job.key, candidate.job.key));
+            };
+
+            const schedule = () => {
+                if (pending.length === 0 && running.size === 0) {
+                    resolve(results);
+                    return;
+                }
+
+                let position = 0;
+                while (running.size < this.concurrency && position < pending.length) {
+                    const candidate = pending[position];
+                    if (isBlocked(candidate, position)) {
+                        position++;
+                        continue;
+                    }
+
+                    pending.splice(position, 1);
+                    running.add(candidate);
+
+                    Promise.resolve()
+                        .then(() => worker(candidate.job, candidate.index))
+                        .then((result) => {
+                            results[candidate.index] = result;
+                            running.delete(candidate);
+                            schedule();
+                        }, reject);
+                }
+            };
+
+            schedule();
+        });
+    }
+}
+
+module.exports = JobPool;
@@ -0,0 +1,109 @@
+// Process exit codes of the CLI
+const EXIT_CODES = {
+    SUCCESS: 0,
+    // The run could not start or stopped on an error
+    FAILURE: 1,
+    // The run finished, but some targets or files could not be cleaned
+    PARTIAL: 2,
+    INTERRUPTED: 130
+};
+
+// Version of the JSON documents below, raised when a field changes meaning or is removed
+const FORMAT_VERSION = 1;
+
+// Cleaner events streamed in NDJSON mode
+const STREAMED_EVENTS = [
+    'session:start',
+    'paths:resolved',
+    'goal:planned',
+    'scan:start',
+    'target:start',
+    'target:progress',
+    'backup:created',
+    'target:done',
+    'error',
+    'plan:created',
+    'session:end'
+];
+
+// 🤖 Writes a cleaner's run as JSON for scripts: one final document, or one event per line
+class JsonReporter {
+    constructor(options = {}) {
+        this.options = {
+            stdout: process.stdout,
+            // Stream every event as it happens instead of printing only the result
+            ndjson: false,
+            ...options
+        };
+    }
+
+    // 🚦 Exit code for a finished run
+    static getExitCode(result) {
+        const failed = result.errors.length > 0 || result.targets.some(target =>
+            target.status === 'failed' || target.status === 'backup-failed' || target.failed > 0);
+        return failed ? EXIT_CODES.PARTIAL : EXIT_CODES.SUCCESS;
+    }
+
+    // 📦 The documented JSON form of a run's result
+    static serializeResult(result) {
+        return {
+            version: FORMAT_VERSION,
+            ...result,
+            exitCode: JsonReporter.getExitCode(result)
+        };
+    }
+
+    // 💥 The documented JSON form of an error that stopped the run
+    static serializeError(error) {
+        return {
+            version: FORMAT_VERSION,
+            success: false,
+            error: { message: error.message, ...(error.code ? { code: error.code } : {}) },
+            exitCode: EXIT_CODES.FAILURE
+        };
+    }
+
+    // 🔌 Subscribe to a cleaner's events
+    attach(cleaner) {
+        if (this.options.ndjson) {
+            for (const event of STREAMED_EVENTS) {
+                cleaner.on(event, payload => this.onEvent(event, payload));
+            }
+        } else {
+            cleaner.on('session:end', result => this.write(JsonReporter.serializeResult(result)));
+            // A scan ends with its plan rather than a cleanup result
+            cleaner.on('plan:created', plan => this.write({ version: FORMAT_VERSION, success: true, ...plan }));
+        }
+        return this;
+    }
+
+    // 📡 One NDJSON line for a streamed event, stamped with the time it was written
+    onEvent(event, payload) {
+        const timestamp = new Date().toISOString();
+
+        switch (event) {
+            case 'error':
+                this.write({ event, timestamp, path: payload.path, description: payload.description, category: payload.category, message: payload.message });
+                break;
+            case 'plan:created':
+                // The plan itself goes to the plan file; the stream only carries its totals
+                this.write({ event, timestamp, createdAt: payload.createdAt, mode: payload.mode, totals: payload.totals });
+                break;
+            case 'session:end':
+                this.write({ event, timestamp, ...JsonReporter.serializeResult(payload) });
+                break;
+            default:
+                this.write({ event, timestamp, ...payload });
+        }
+    }
+
+    // 🖨️ One JSON document per line
+    write(document) {
+        this.options.stdout.write(`${JSON.stringify(document)}\n`);
+    }
+}
+
+JsonReporter.EXIT_CODES = EXIT_CODES;
+JsonReporter.FORMAT_VERSION = FORMAT_VERSION;
+
+module.exports = JsonReporter;
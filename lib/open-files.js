@@ -0,0 +1,96 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+class OpenFileDetector {
+    constructor(options = {}) {
+        this.options = {
+            procRoot: '/proc',
+            platform: os.platform(),
+            // Targets cleaned concurrently share one look at /proc
+            maxAgeMs: 2000,
+            ...options
+        };
+
+        this.snapshot = null;
+    }
+
+    // ❓ Open files can only be inspected through procfs
+    isSupported() {
+        return this.options.platform === 'linux';
+    }
+
+    // 📸 Paths currently open or memory-mapped by any process we can inspect
+    async getOpenPaths() {
+        if (!this.isSupported()) {
+            return new Set();
+        }
+
+        if (!this.snapshot || Date.now() - this.snapshot.takenAt > this.options.maxAgeMs) {
+            this.snapshot = { takenAt: Date.now(), paths: this.readOpenPaths() };
+        }
+        return this.snapshot.paths;
+    }
+
+    // 🔄 Force a fresh look at /proc, e.g. before retrying deferred files
+    refresh() {
+        this.snapshot = null;
+    }
+
+    // 🐧 Collect fd targets and mapped files from /proc/<pid>/fd and /proc/<pid>/maps
+    async readOpenPaths() {
+        const procRoot = this.options.procRoot;
+        const paths = new Set();
+
+        let pids;
+        try {
+            pids = (await fs.readdir(procRoot)).filter(name => /^\d+$/.test(name) && Number(name) !== process.pid);
+        } catch (error) {
+            return paths;
+        }
+
+        for (const pid of pids) {
+            const fdDir = path.join(procRoot, pid, 'fd');
+            try {
+                const fds = await fs.readdir(fdDir);
+                const targets = await Promise.all(fds.map(fd => fs.readlink(path.join(fdDir, fd)).catch(() => null)));
+                for (const target of targets) {
+                    // Sockets, pipes and anonymous inodes don't start with a slash
+                    if (target && target.startsWith('/')) {
+                        paths.add(target);
+                    }
+                }
+            } catch (error) {
+                // Process exited or belongs to another user
+            }
+
+            try {
+                const maps = await fs.readFile(path.join(procRoot, pid, 'maps'), 'utf8');
+                for (const line of maps.split('\n')) {
+                    // The pathname is the last column and the only one containing a slash
+                    const start = line.indexOf('/');
+                    if (start !== -1) {
+                        paths.add(line.slice(start));
+                    }
+                }
+            } catch (error) {
+                // Process exited or belongs to another user
+            }
+        }
+
+        return paths;
+    }
+
+    // 🔒 Split files into those held open by a process and those free to remove
+    async partition(files) {
+        const openPaths = await this.getOpenPaths();
+        const result = { free: [], inUse: [] };
+
+        for (const file of files) {
+            (openPaths.has(file.path) ? result.inUse : result.free).push(file);
+        }
+        return result;
+    }
+}
+
+module.exports = OpenFileDetector;
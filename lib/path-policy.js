@@ -0,0 +1,149 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const SECURITY_LEVELS = ['low', 'standard', 'high'];
+
+// 🏠 Home directory relative path
+const home = (...segments) => path.join(os.homedir(), ...segments);
+
+// Never a cleanup target themselves, though targets below them can be
+const CRITICAL_PATHS = {
+    common: () => [path.parse(os.homedir()).root, os.homedir(), path.dirname(os.homedir())],
+    linux: () => ['/usr', '/etc', '/boot', '/var', '/opt', '/srv', '/root', '/home', '/mnt', '/media'],
+    darwin: () => ['/System', '/Library', '/Applications', '/Users', '/private', '/private/var', '/Volumes'],
+    win32: () => ['C:\\Windows', 'C:\\Users', 'C:\\ProgramData']
+};
+
+// Nothing inside these is ever removed while blockSystemPaths is on
+const PROTECTED_TREES = {
+    common: () => [home('.ssh'), home('.gnupg')],
+    linux: () => ['/usr', '/etc', '/boot', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/proc', '/sys', '/dev', '/run', '/snap'],
+    darwin: () => ['/System', '/usr', '/bin', '/sbin', '/etc', '/private/etc', '/Applications', '/Library/Keychains', home('Library', 'Keychains')],
+    win32: () => ['C:\\Windows\\System32', 'C:\\Windows\\SysWOW64', 'C:\\Program Files', 'C:\\Program Files (x86)']
+};
+
+// Personal data that only the high security level protects
+const PERSONAL_TREES = () => [
+    'Documents', 'Desktop', 'Pictures', 'Music', 'Videos', 'Movies', '.config'
+].map(name => home(name));
+
+class PathPolicy {
+    constructor(options = {}) {
+        this.options = {
+            level: 'standard',
+            // null follows the level: off for low, on for standard, always on for high
+            blockSystemPaths: null,
+            allowedPathsOnly: false,
+            allowedPaths: [],
+            platform: os.platform(),
+            ...options
+        };
+
+        if (!SECURITY_LEVELS.includes(this.options.level)) {
+            throw new Error(`Unknown security level: ${this.options.level} (expected ${SECURITY_LEVELS.join(', ')})`);
+        }
+
+        this.allowed = [...this.options.allowedPaths];
+        this.resolved = null;
+    }
+
+    // 🔢 The stricter of two security levels
+    static stricter(first, second) {
+        return SECURITY_LEVELS.indexOf(second) > SECURITY_LEVELS.indexOf(first) ? second : first;
+    }
+
+    // ➕ Trust additional roots in allowlist mode, e.g. the built-in targets
+    allow(paths) {
+        this.allowed.push(...paths);
+        this.resolved = null;
+    }
+
+    // 🧭 Canonical absolute path: .. segments removed and symlinks resolved, even for paths that don't exist yet
+    async canonicalize(targetPath) {
+        const absolute = path.resolve(targetPath);
+        let existing = absolute;
+        const rest = [];
+
+        while (true) {
+            try {
+                const real = await fs.realpath(existing);
+                return this.normalizeCase(path.join(real, ...rest.reverse()));
+            } catch (error) {
+                const parent = path.dirname(existing);
+                if (parent === existing) {
+                    return this.normalizeCase(absolute);
+                }
+                rest.push(path.basename(existing));
+                existing = parent;
+            }
+        }
+    }
+
+    // 🔡 Windows and macOS paths compare case-insensitively
+    normalizeCase(targetPath) {
+        return ['win32', 'darwin'].includes(this.options.platform) ? targetPath.toLowerCase() : targetPath;
+    }
+
+    // 📚 Canonical rule lists, computed once per policy
+    async getRules() {
+        if (!this.resolved) {
+            const platform = this.options.platform;
+            const canonical = list => Promise.all([...new Set(list)].map(entry => this.canonicalize(entry)));
+
+            this.resolved = {
+                critical: await canonical([...CRITICAL_PATHS.common(), ...(CRITICAL_PATHS[platform] || (() => []))()]),
+                protected: await canonical([...PROTECTED_TREES.common(), ...(PROTECTED_TREES[platform] || (() => []))()]),
+                personal: await canonical(PERSONAL_TREES()),
+                allowed: await canonical(this.allowed)
+            };
+        }
+        return this.resolved;
+    }
+
+    // ✅ Decide whether a path may be cleaned: { allowed, reason, rule, path }
+    async check(targetPath, { level = null } = {}) {
+        const canonicalPath = await this.canonicalize(targetPath);
+        const rules = await this.getRules();
+        const effectiveLevel = level ? PathPolicy.stricter(this.options.level, level) : this.options.level;
+        const isWithin = (root) => {
+            const relative = path.relative(root, canonicalPath);
+            return !relative.startsWith('..') && !path.isAbsolute(relative);
+        };
+
+        const blocked = (reason, rule) => ({ allowed: false, reason, rule, path: canonicalPath, level: effectiveLevel });
+
+        // Critical roots are refused at every level
+        const critical = rules.critical.find(root => root === canonicalPath);
+        if (critical) {
+            return blocked('critical-path', critical);
+        }
+
+        const blockSystemPaths = effectiveLevel === 'high' ||
+            (this.options.blockSystemPaths ?? effectiveLevel !== 'low');
+        if (blockSystemPaths) {
+            const tree = rules.protected.find(isWithin);
+            if (tree) {
+                return blocked('system-path', tree);
+            }
+        }
+
+        if (effectiveLevel === 'high') {
+            const tree = rules.personal.find(isWithin);
+            if (tree) {
+                return blocked('personal-data', tree);
+            }
+        }
+
+        // A high global level always behaves as if allowedPathsOnly was set
+        if ((this.options.allowedPathsOnly || this.options.level === 'high') && !rules.allowed.some(isWithin)) {
+            return blocked('not-allowlisted', null);
+        }
+
+        return { allowed: true, reason: null, rule: null, path: canonicalPath, level: effectiveLevel };
+    }
+}
+
+PathPolicy.SECURITY_LEVELS = SECURITY_LEVELS;
+
+module.exports = PathPolicy;
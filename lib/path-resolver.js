@@ -0,0 +1,199 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { globToRegExp } = require('./pattern-matcher');
+
+// Base directory variables with the defaults from the XDG Base Directory specification
+const XDG_DEFAULTS = {
+    XDG_CACHE_HOME: ['.cache'],
+    XDG_CONFIG_HOME: ['.config'],
+    XDG_DATA_HOME: ['.local', 'share'],
+    XDG_STATE_HOME: ['.local', 'state']
+};
+
+// $VAR, ${VAR}, ${VAR:-fallback} and, on Windows, %VAR%
+const VARIABLE_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}|\$([A-Za-z_][A-Za-z0-9_]*)|%([A-Za-z_][A-Za-z0-9_()]*)%/g;
+
+// 🧭 Turns configured paths into concrete ones: ~ and environment variables, then glob patterns with ** on disk
+class PathResolver {
+    constructor(options = {}) {
+        this.options = {
+            homeDir: os.homedir(),
+            env: process.env,
+            platform: os.platform(),
+            // Relative paths are taken from here
+            cwd: process.cwd(),
+            // How deep ** descends, and how many directories one pattern may match
+            maxDepth: 12,
+            maxMatches: 1000,
+            ...options
+        };
+    }
+
+    // ❓ Whether a path contains glob wildcards
+    static hasGlob(value) {
+        return /[*?[]/.test(value);
+    }
+
+    // 🌱 Value of an environment variable, with XDG base directories falling back to their defaults
+    getVariable(name) {
+        const { env, homeDir, platform } = this.options;
+        // Windows variable names are case-insensitive
+        const key = platform === 'win32'
+            ? Object.keys(env).find(candidate => candidate.toUpperCase() === name.toUpperCase())
+            : name;
+
+        if (key !== undefined && env[key] !== undefined && env[key] !== '') {
+            return env[key];
+        }
+        if (name === 'HOME' || name === 'USERPROFILE') {
+            return homeDir;
+        }
+        if (XDG_DEFAULTS[name]) {
+            return path.join(homeDir, ...XDG_DEFAULTS[name]);
+        }
+        return undefined;
+    }
+
+    // 🏠 Expand ~ and environment variables; an unset variable is an error rather than an empty string
+    expand(value) {
+        let expanded = String(value).replace(VARIABLE_PATTERN, (match, braced, fallback, bare, percent) => {
+            // %VAR% only means something on Windows, elsewhere it is part of the name
+            if (percent !== undefined && this.options.platform !== 'win32') {
+                return match;
+            }
+
+            const name = braced || bare || percent;
+            const resolved = this.getVariable(name);
+            if (resolved !== undefined) {
+                return resolved;
+            }
+            if (fallback !== undefined) {
+                return fallback;
+            }
+            throw Object.assign(new Error(`Environment variable ${name} is not set in ${value}`), { code: 'ENOVAR', variable: name });
+        });
+
+        if (expanded === '~') {
+            expanded = this.options.homeDir;
+        } else if (expanded.startsWith('~/') || expanded.startsWith('~\\')) {
+            expanded = path.join(this.options.homeDir, expanded.slice(2));
+        }
+
+        return expanded;
+    }
+
+    // 📍 Expand a path and make it absolute
+    resolvePath(value, baseDir = this.options.cwd) {
+        return path.resolve(baseDir, this.expand(value));
+    }
+
+    // 🔍 Expand a path and match its glob segments against directories on disk:
+    // { pattern, path, glob, paths, truncated, error }
+    async resolve(value, { baseDir = this.options.cwd } = {}) {
+        const result = { pattern: value, path: null, glob: false, paths: [], truncated: false, error: null };
+
+        try {
+            result.path = this.resolvePath(value, baseDir);
+        } catch (error) {
+            result.error = error.message;
+            return result;
+        }
+
+        result.glob = PathResolver.hasGlob(result.path);
+        if (!result.glob) {
+            // Literal paths are kept even when missing; the cleaner reports them as not found
+            result.paths = [result.path];
+            return result;
+        }
+
+        // Walk from the longest prefix without wildcards
+        const { root } = path.parse(result.path);
+        const segments = result.path.slice(root.length).split(/[\\/]+/).filter(Boolean);
+        const firstGlob = segments.findIndex(segment => PathResolver.hasGlob(segment));
+        const start = path.join(root, ...segments.slice(0, firstGlob));
+
+        const matches = new Set();
+        await this.walk(start, segments.slice(firstGlob), 0, matches);
+
+        result.paths = [...matches].sort();
+        if (result.paths.length > this.options.maxMatches) {
+            result.paths = result.paths.slice(0, this.options.maxMatches);
+            result.truncated = true;
+        }
+        return result;
+    }
+
+    // 🚶 Match the remaining segments below a directory
+    async walk(directory, segments, depth, matches) {
+        if (segments.length === 0) {
+            matches.add(directory);
+            return;
+        }
+        if (matches.size > this.options.maxMatches) {
+            return;
+        }
+
+        const [segment, ...rest] = segments;
+
+        if (segment === '**') {
+            // ** also matches no directory at all
+            await this.walk(directory, rest, depth, matches);
+            if (depth >= this.options.maxDepth) {
+                return;
+            }
+            // Symbolic links are not followed here, they could loop
+            for (const entry of await this.readDirectories(directory, { followLinks: false })) {
+                await this.walk(path.join(directory, entry), segments, depth + 1, matches);
+            }
+            return;
+        }
+
+        if (!PathResolver.hasGlob(segment)) {
+            const next = path.join(directory, segment);
+            if (await this.isDirectory(next)) {
+                await this.walk(next, rest, depth, matches);
+            }
+            return;
+        }
+
+        // A segment pattern has to match the whole name
+        const matcher = new RegExp(`^(?:${globToRegExp(segment).source})$`, 'i');
+        for (const entry of await this.readDirectories(directory, { followLinks: true })) {
+            if (matcher.test(entry)) {
+                await this.walk(path.join(directory, entry), rest, depth, matches);
+            }
+        }
+    }
+
+    // 📂 Names of the subdirectories of a directory, nothing when it cannot be read
+    async readDirectories(directory, { followLinks }) {
+        let entries;
+        try {
+            entries = await fs.readdir(directory, { withFileTypes: true });
+        } catch {
+            return [];
+        }
+
+        const names = [];
+        for (const entry of entries) {
+            if (entry.isDirectory() || (followLinks && entry.isSymbolicLink() && await this.isDirectory(path.join(directory, entry.name)))) {
+                names.push(entry.name);
+            }
+        }
+        return names;
+    }
+
+    // 📁 Whether a path is a directory, following symbolic links
+    async isDirectory(filePath) {
+        try {
+            return (await fs.stat(filePath)).isDirectory();
+        } catch {
+            return false;
+        }
+    }
+}
+
+PathResolver.XDG_DEFAULTS = XDG_DEFAULTS;
+
+module.exports = PathResolver;
@@ -0,0 +1,60 @@
+const path = require('path');
+
+// 🔁 Normalize a filesystem path to forward slashes for pattern matching
+function toPosixPath(filePath) {
+    return String(filePath).split(path.sep).join('/');
+}
+
+// 🔧 Convert a glob pattern into a regular expression
+function globToRegExp(pattern) {
+    // Escape special regex characters except our wildcards and character classes
+    let regexPattern = pattern.replace(/[.+^${}()|\\]/g, '\\$&');
+
+    // Convert glob patterns to regex
+    regexPattern = regexPattern
+        .replace(/\*\*/g, '\u0000')   // placeholder so single * handling leaves it alone
+        .replace(/\*/g, '[^/]*')      // * matches any characters except slashes
+        .replace(/\?/g, '[^/]')       // ? matches single character except slash
+        .replace(/\u0000/g, '.*');    // ** matches any characters including slashes
+
+    return new RegExp(regexPattern, 'i');
+}
+
+// 🧩 Compile a glob into a test for paths. A pattern without a slash matches the file name,
+// an absolute pattern the whole path and any other pattern with a slash the end of the path.
+// Throws on a pattern that is not a valid glob, for the caller to report
+function compilePattern(pattern) {
+    const glob = toPosixPath(pattern);
+    const hasSlash = glob.includes('/');
+    const absolute = glob.startsWith('/') || /^[a-z]:\//i.test(glob);
+
+    let regex;
+    try {
+        regex = new RegExp(`${hasSlash && !absolute ? '(?:^|/)' : '^'}(?:${globToRegExp(glob).source})$`, 'i');
+    } catch (error) {
+        throw new Error(`Invalid pattern: ${pattern} (${error.message})`);
+    }
+
+    return filePath => {
+        const posixPath = toPosixPath(filePath);
+        return regex.test(hasSlash ? posixPath : path.posix.basename(posixPath));
+    };
+}
+
+// 🎯 Check whether a path matches a glob pattern
+function matchesPattern(filePath, pattern) {
+    return compilePattern(pattern)(filePath);
+}
+
+// 🔍 Check whether a path matches any pattern in a list
+function matchesAny(filePath, patterns = []) {
+    return patterns.some(pattern => matchesPattern(filePath, pattern));
+}
+
+module.exports = {
+    toPosixPath,
+    globToRegExp,
+    compilePattern,
+    matchesPattern,
+    matchesAny
+};
@@ -0,0 +1,179 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const PLATFORMS = ['win32', 'darwin', 'linux'];
+const RISK_LEVELS = ['low', 'medium', 'high'];
+
+// Packages named like this are picked up from node_modules without any configuration
+const PLUGIN_PACKAGE_PATTERN = /^(@[^/]+\/)?ultra-cleaner-plugin-[a-z0-9._-]+$/;
+
+class PluginRegistry {
+    constructor(options = {}) {
+        this.options = {
+            platform: os.platform(),
+            disabled: [],
+            ...options
+        };
+
+        this.plugins = new Map();
+        this.loaded = new Set();
+    }
+
+    // ✅ Check the shape of a plugin and throw a readable error when it is wrong
+    static validate(plugin, source = 'plugin') {
+        const fail = (message) => {
+            throw new Error(`Invalid cleanup plugin from ${source}: ${message}`);
+        };
+
+        if (!plugin || typeof plugin !== 'object') {
+            fail('expected an object');
+        }
+        if (typeof plugin.id !== 'string' || !/^[a-z0-9][a-z0-9._-]*$/.test(plugin.id)) {
+            fail('id must be a lowercase string such as "my-tool-cache"');
+        }
+        if (typeof plugin.category !== 'string' || !plugin.category) {
+            fail(`${plugin.id}: category is required`);
+        }
+        if (!Array.isArray(plugin.platforms) || plugin.platforms.some(platform => !PLATFORMS.includes(platform))) {
+            fail(`${plugin.id}: platforms must list some of ${PLATFORMS.join(', ')}`);
+        }
+        if (typeof plugin.detect !== 'function') {
+            fail(`${plugin.id}: detect() is required`);
+        }
+        for (const hook of ['scan', 'clean']) {
+            if (plugin[hook] !== undefined && typeof plugin[hook] !== 'function') {
+                fail(`${plugin.id}: ${hook} must be a function`);
+            }
+        }
+        if (plugin.risk !== undefined && !RISK_LEVELS.includes(plugin.risk)) {
+            fail(`${plugin.id}: risk must be one of ${RISK_LEVELS.join(', ')}`);
+        }
+        if (plugin.processes !== undefined && !Array.isArray(plugin.processes)) {
+            fail(`${plugin.id}: processes must be a list of process names`);
+        }
+
+        return plugin;
+    }
+
+    // ➕ Add plugins, keeping registration order as cleanup order
+    register(plugins, source = 'builtin') {
+        for (const plugin of [].concat(plugins)) {
+            PluginRegistry.validate(plugin, source);
+
+            if (this.plugins.has(plugin.id)) {
+                throw new Error(`Cleanup plugin ${plugin.id} from ${source} is already registered by ${this.plugins.get(plugin.id).source}`);
+            }
+
+            this.plugins.set(plugin.id, { ...plugin, risk: plugin.risk || 'low', source });
+        }
+        return this;
+    }
+
+    // 📦 Load a plugin module by path or package name; it exports a plugin, a list of plugins or { plugins }
+    load(specifier, { baseDir = process.cwd() } = {}) {
+        const isPath = specifier.startsWith('.') || path.isAbsolute(specifier);
+        const resolved = require.resolve(isPath ? path.resolve(baseDir, specifier) : specifier, {
+            paths: [baseDir, process.cwd()]
+        });
+
+        // The same module may be listed in the config and found in node_modules
+        if (this.loaded.has(resolved)) {
+            return this;
+        }
+        this.loaded.add(resolved);
+
+        const exported = require(resolved);
+        const plugins = Array.isArray(exported) ? exported : (exported.plugins || exported);
+        return this.register(plugins, `plugin:${specifier}`);
+    }
+
+    // 🔍 Find packages following the ultra-cleaner-plugin-* naming convention
+    async discover(directories = []) {
+        const found = [];
+
+        for (const directory of directories) {
+            let entries;
+            try {
+                entries = await fs.readdir(directory);
+            } catch (error) {
+                continue;
+            }
+
+            for (const entry of entries.sort()) {
+                if (entry.startsWith('@')) {
+                    const scoped = await fs.readdir(path.join(directory, entry)).catch(() => []);
+                    found.push(...scoped.sort().map(name => ({ name: `${entry}/${name}`, directory })));
+                } else {
+                    found.push({ name: entry, directory });
+                }
+            }
+        }
+
+        return found
+            .filter(({ name }) => PLUGIN_PACKAGE_PATTERN.test(name))
+            .map(({ name, directory }) => path.join(directory, name));
+    }
+
+    // 🗂️ Default places to look for plugin packages: the project and the global prefix
+    static defaultSearchPaths() {
+        return [
+            path.join(process.cwd(), 'node_modules'),
+            path.join(path.dirname(process.execPath), '..', 'lib', 'node_modules'),
+            path.join(path.dirname(process.execPath), 'node_modules')
+        ];
+    }
+
+    // 📋 Enabled plugins that support this platform
+    getPlugins() {
+        return [...this.plugins.values()].filter(plugin =>
+            plugin.platforms.includes(this.options.platform) &&
+            !this.options.disabled.includes(plugin.id));
+    }
+
+    // 🔌 Look up a plugin by id
+    get(id) {
+        return this.plugins.get(id) || null;
+    }
+
+    // 🎯 Run every plugin's detect() and return its targets grouped by category
+    async detectTargets(context = {}) {
+        const targets = {};
+        const errors = [];
+
+        for (const plugin of this.getPlugins()) {
+            let detected;
+            try {
+                detected = await plugin.detect({ platform: this.options.platform, ...context });
+            } catch (error) {
+                // e.g. a Windows target without LOCALAPPDATA; the other plugins still run
+                errors.push({ plugin: plugin.id, error });
+                continue;
+            }
+
+            targets[plugin.category] = targets[plugin.category] || [];
+            for (const entry of [].concat(detected || [])) {
+                const target = typeof entry === 'string' ? { path: entry } : entry;
+                if (!target || !target.path) {
+                    continue;
+                }
+
+                targets[plugin.category].push({
+                    ...target,
+                    description: target.description || plugin.name || plugin.id,
+                    category: target.category || plugin.category,
+                    processes: target.processes || plugin.processes,
+                    plugin: plugin.id,
+                    risk: target.risk || plugin.risk,
+                    source: plugin.source === 'builtin' ? `builtin:${plugin.id}` : plugin.source
+                });
+            }
+        }
+
+        return { targets, errors };
+    }
+}
+
+PluginRegistry.RISK_LEVELS = RISK_LEVELS;
+
+module.exports = PluginRegistry;
@@ -0,0 +1,77 @@
+const path = require('path');
+
+// 📱 Desktop application caches, skipped while the application runs
+module.exports = [
+    {
+        id: 'teams',
+        category: 'apps',
+        platforms: ['win32'],
+        risk: 'low',
+        processes: ['teams', 'ms-teams'],
+        detect: ({ env }) => [
+            { path: path.join(env.APPDATA, 'Microsoft', 'Teams', 'Cache'), description: 'Teams Cache', category: 'app' }
+        ]
+    },
+    {
+        id: 'slack',
+        category: 'apps',
+        platforms: ['win32'],
+        risk: 'low',
+        processes: ['slack'],
+        detect: ({ env }) => [
+            { path: path.join(env.APPDATA, 'Slack', 'Cache'), description: 'Slack Cache', category: 'app' }
+        ]
+    },
+    {
+        id: 'zoom',
+        category: 'apps',
+        platforms: ['win32'],
+        risk: 'low',
+        processes: ['zoom'],
+        detect: ({ env }) => [
+            { path: path.join(env.APPDATA, 'Zoom', 'logs'), description: 'Zoom Logs', category: 'log' }
+        ]
+    },
+    {
+        id: 'discord',
+        category: 'apps',
+        platforms: ['win32'],
+        risk: 'low',
+        processes: ['discord'],
+        detect: ({ env }) => [
+            { path: path.join(env.LOCALAPPDATA, 'Discord'), description: 'Discord Cache', category: 'app' }
+        ]
+    },
+    {
+        id: 'vscode',
+        category: 'apps',
+        platforms: ['win32'],
+        risk: 'low',
+        processes: ['code'],
+        detect: ({ env }) => [
+            { path: path.join(env.APPDATA, 'Code', 'Cache'), description: 'VS Code Cache', category: 'app' },
+            { path: path.join(env.APPDATA, 'Code', 'CachedData'), description: 'VS Code Cached Data', category: 'app' }
+        ]
+    },
+    {
+        id: 'visual-studio',
+        category: 'apps',
+        platforms: ['win32'],
+        // Holds component caches and settings next to throwaway data
+        risk: 'medium',
+        processes: ['devenv'],
+        detect: ({ env }) => [
+            { path: path.join(env.LOCALAPPDATA, 'Microsoft', 'VisualStudio'), description: 'Visual Studio Cache', category: 'app' }
+        ]
+    },
+    {
+        id: 'steam',
+        category: 'apps',
+        platforms: ['win32'],
+        risk: 'low',
+        processes: ['steam', 'steamwebhelper'],
+        detect: ({ env }) => [
+            { path: path.join(env.APPDATA, 'Steam', 'htmlcache'), description: 'Steam HTML Cache', category: 'app' }
+        ]
+    }
+];
@@ -0,0 +1,95 @@
+const path = require('path');
+
+// 🌐 Browser caches, skipped while the browser runs
+module.exports = [
+    {
+        id: 'chrome',
+        category: 'browsers',
+        platforms: ['win32', 'darwin', 'linux'],
+        risk: 'low',
+        detect: ({ platform, homeDir, env }) => {
+            if (platform === 'win32') {
+                const profile = path.join(env.LOCALAPPDATA, 'Google', 'Chrome', 'User Data', 'Default');
+                return [
+                    { path: path.join(profile, 'Cache'), description: 'Chrome Cache', category: 'browser', processes: ['chrome'] },
+                    { path: path.join(profile, 'Code Cache'), description: 'Chrome Code Cache', category: 'browser', processes: ['chrome'] },
+                    { path: path.join(profile, 'GPUCache'), description: 'Chrome GPU Cache', category: 'browser', processes: ['chrome'] },
+                    { path: path.join(profile, 'Service Worker', 'CacheStorage'), description: 'Chrome Service Worker Cache', category: 'browser', processes: ['chrome'] }
+                ];
+            }
+            if (platform === 'darwin') {
+                return [
+                    { path: path.join(homeDir, 'Library', 'Caches', 'Google', 'Chrome'), description: 'Chrome Cache', category: 'browser', processes: ['Google Chrome'] }
+                ];
+            }
+            return [
+                { path: path.join(homeDir, '.cache', 'google-chrome'), description: 'Chrome Cache', category: 'browser', processes: ['chrome', 'google-chrome'] }
+            ];
+        }
+    },
+    {
+        id: 'edge',
+        category: 'browsers',
+        platforms: ['win32'],
+        risk: 'low',
+        processes: ['msedge'],
+        detect: ({ env }) => {
+            const profile = path.join(env.LOCALAPPDATA, 'Microsoft', 'Edge', 'User Data', 'Default');
+            return [
+                { path: path.join(profile, 'Cache'), description: 'Edge Cache', category: 'browser' },
+                { path: path.join(profile, 'Code Cache'), description: 'Edge Code Cache', category: 'browser' }
+            ];
+        }
+    },
+    {
+        id: 'firefox',
+        category: 'browsers',
+        platforms: ['win32', 'darwin', 'linux'],
+        risk: 'low',
+        detect: ({ platform, homeDir, env }) => {
+            if (platform === 'win32') {
+                return [
+                    { path: path.join(env.LOCALAPPDATA, 'Mozilla', 'Firefox', 'Profiles'), description: 'Firefox Cache', category: 'browser', processes: ['firefox'] }
+                ];
+            }
+            if (platform === 'darwin') {
+                return [
+                    { path: path.join(homeDir, 'Library', 'Caches', 'Mozilla'), description: 'Firefox Cache', category: 'browser', processes: ['firefox'] }
+                ];
+            }
+            return [
+                { path: path.join(homeDir, '.cache', 'mozilla'), description: 'Firefox Cache', category: 'browser', processes: ['firefox', 'firefox-bin', 'firefox-esr'] }
+            ];
+        }
+    },
+    {
+        id: 'brave',
+        category: 'browsers',
+        platforms: ['win32'],
+        risk: 'low',
+        processes: ['brave'],
+        detect: ({ env }) => [
+            { path: path.join(env.LOCALAPPDATA, 'BraveSoftware', 'Brave-Browser', 'User Data', 'Default', 'Cache'), description: 'Brave Cache', category: 'browser' }
+        ]
+    },
+    {
+        id: 'opera',
+        category: 'browsers',
+        platforms: ['win32'],
+        risk: 'low',
+        processes: ['opera'],
+        detect: ({ env }) => [
+            { path: path.join(env.LOCALAPPDATA, 'Opera Software', 'Opera Stable', 'Cache'), description: 'Opera Cache', category: 'browser' }
+        ]
+    },
+    {
+        id: 'chromium',
+        category: 'browsers',
+        platforms: ['linux'],
+        risk: 'low',
+        processes: ['chromium', 'chromium-browser'],
+        detect: ({ homeDir }) => [
+            { path: path.join(homeDir, '.cache', 'chromium'), description: 'Chromium Cache', category: 'browser' }
+        ]
+    }
+];
@@ -0,0 +1,9 @@
+// 🧩 Built-in cleanup targets, in cleanup order
+module.exports = [
+    ...require('./system'),
+    ...require('./user'),
+    ...require('./browsers'),
+    ...require('./apps'),
+    ...require('./npm'),
+    ...require('./logs')
+];
@@ -0,0 +1,17 @@
+const path = require('path');
+
+// 📋 Error reports, crash dumps and application logs
+module.exports = [
+    {
+        id: 'windows-logs',
+        category: 'logs',
+        platforms: ['win32'],
+        risk: 'low',
+        detect: ({ homeDir, env }) => [
+            { path: path.join(env.LOCALAPPDATA, 'Microsoft', 'Windows', 'WER', 'ReportArchive'), description: 'Windows Error Reports', category: 'log' },
+            { path: path.join(env.APPDATA, 'Microsoft', 'Teams', 'logs'), description: 'Teams Logs', category: 'log', processes: ['teams', 'ms-teams'] },
+            { path: path.join(env.LOCALAPPDATA, 'CrashDumps'), description: 'System Crash Dumps', category: 'log' },
+            { path: path.join(homeDir, 'AppData', 'LocalLow', 'Microsoft', 'CryptnetUrlCache'), description: 'Cryptnet URL Cache', category: 'log' }
+        ]
+    }
+];
@@ -0,0 +1,55 @@
+const path = require('path');
+const { spawn } = require('child_process');
+
+// 📦 Package manager caches
+module.exports = [
+    {
+        id: 'npm-cache',
+        category: 'npm',
+        platforms: ['win32', 'darwin', 'linux'],
+        risk: 'low',
+        detect: ({ homeDir }) => [
+            { path: path.join(homeDir, '.npm'), description: 'NPM Cache', category: 'npm' }
+        ]
+    },
+    {
+        id: 'yarn-cache',
+        category: 'npm',
+        platforms: ['win32', 'darwin', 'linux'],
+        risk: 'low',
+        detect: ({ homeDir }) => [
+            { path: path.join(homeDir, '.yarn', 'cache'), description: 'Yarn Cache', category: 'npm' }
+        ]
+    },
+    {
+        id: 'pnpm-store',
+        category: 'npm',
+        platforms: ['win32', 'darwin', 'linux'],
+        risk: 'low',
+        detect: ({ homeDir }) => [
+            { path: path.join(homeDir, '.pnpm-store'), description: 'PNPM Store', category: 'npm' }
+        ]
+    },
+    {
+        id: 'npm-cache-clean',
+        category: 'npm',
+        platforms: ['win32', 'darwin', 'linux'],
+        risk: 'low',
+        // Lets npm tidy whatever the file cleanup of ~/.npm left behind
+        detect: ({ homeDir }) => [
+            { path: path.join(homeDir, '.npm'), description: 'npm cache clean', category: 'npm' }
+        ],
+        clean: () => new Promise((resolve, reject) => {
+            const npmClean = spawn('npm', ['cache', 'clean', '--force'], {
+                stdio: 'pipe'
+            });
+
+            npmClean.on('close', (code) => {
+                if (code === 0) resolve();
+                else reject(new Error(`NPM clean exited with code ${code}`));
+            });
+
+            npmClean.on('error', reject);
+        })
+    }
+];
@@ -0,0 +1,12 @@
+// 💻 System temporary files
+module.exports = [
+    {
+        id: 'system-temp',
+        category: 'system',
+        platforms: ['win32', 'darwin', 'linux'],
+        risk: 'low',
+        detect: ({ tempDir }) => [
+            { path: tempDir, description: 'System Temp Directory', category: 'system' }
+        ]
+    }
+];
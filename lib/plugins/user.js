@@ -0,0 +1,47 @@
+const path = require('path');
+
+// 👤 Per-user temp files, caches and trash
+module.exports = [
+    {
+        id: 'windows-user-temp',
+        category: 'user',
+        platforms: ['win32'],
+        risk: 'low',
+        detect: ({ env }) => [
+            { path: env.TEMP, description: 'User Temp', category: 'user' },
+            { path: path.join(env.LOCALAPPDATA, 'Temp'), description: 'Local AppData Temp', category: 'user' },
+            { path: path.join(env.LOCALAPPDATA, 'Microsoft', 'Windows', 'INetCache'), description: 'Internet Cache', category: 'user' },
+            { path: path.join(env.LOCALAPPDATA, 'Microsoft', 'Windows', 'WebCache'), description: 'Web Cache', category: 'user' },
+            { path: path.join(env.LOCALAPPDATA, 'CrashDumps'), description: 'Crash Dumps', category: 'user' }
+        ]
+    },
+    {
+        id: 'macos-user-library',
+        category: 'user',
+        platforms: ['darwin'],
+        risk: 'low',
+        detect: ({ homeDir }) => [
+            { path: path.join(homeDir, 'Library', 'Caches'), description: 'User Caches', category: 'user' },
+            { path: path.join(homeDir, 'Library', 'Logs'), description: 'User Logs', category: 'log' }
+        ]
+    },
+    {
+        id: 'xdg-user-cache',
+        category: 'user',
+        platforms: ['linux'],
+        risk: 'low',
+        detect: ({ homeDir }) => [
+            { path: path.join(homeDir, '.cache'), description: 'User Cache', category: 'user' }
+        ]
+    },
+    {
+        id: 'xdg-trash',
+        category: 'user',
+        platforms: ['linux'],
+        // Emptying the trash removes the last copy of files the user deleted
+        risk: 'medium',
+        detect: ({ homeDir }) => [
+            { path: path.join(homeDir, '.local', 'share', 'Trash'), description: 'Trash', category: 'user' }
+        ]
+    }
+];
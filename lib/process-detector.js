@@ -0,0 +1,104 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+// /proc/<pid>/comm holds at most 15 characters of the executable name
+const COMM_LENGTH = 15;
+
+class ProcessDetector {
+    constructor(options = {}) {
+        this.options = {
+            procRoot: '/proc',
+            platform: os.platform(),
+            // Targets cleaned concurrently share one look at /proc
+            maxAgeMs: 2000,
+            ...options
+        };
+
+        this.snapshot = null;
+    }
+
+    // ❓ Running processes can only be listed through procfs
+    isSupported() {
+        return this.options.platform === 'linux';
+    }
+
+    // 🔡 Compare names without case or a Windows .exe suffix
+    static normalizeName(name) {
+        return String(name).toLowerCase().replace(/\.exe$/, '');
+    }
+
+    // 📝 Short description of matched processes, e.g. "chrome (12 processes)"
+    static describe(processes) {
+        const names = [...new Set(processes.map(entry => entry.command || entry.comm))];
+        const count = processes.length === 1 ? `pid ${processes[0].pid}` : `${processes.length} processes`;
+        return `${names.join(', ')} (${count})`;
+    }
+
+    // 📸 Processes we can inspect: { pid, comm, command }
+    async getProcesses() {
+        if (!this.isSupported()) {
+            return [];
+        }
+
+        if (!this.snapshot || Date.now() - this.snapshot.takenAt > this.options.maxAgeMs) {
+            this.snapshot = { takenAt: Date.now(), processes: this.readProcesses() };
+        }
+        return this.snapshot.processes;
+    }
+
+    // 🔄 Force a fresh look at /proc, e.g. after asking the user to close an app
+    refresh() {
+        this.snapshot = null;
+    }
+
+    // 🐧 Read the short name from /proc/<pid>/comm and the executable from /proc/<pid>/cmdline
+    async readProcesses() {
+        const procRoot = this.options.procRoot;
+
+        let pids;
+        try {
+            pids = (await fs.readdir(procRoot)).filter(name => /^\d+$/.test(name) && Number(name) !== process.pid);
+        } catch (error) {
+            return [];
+        }
+
+        const processes = await Promise.all(pids.map(async (pid) => {
+            const [comm, cmdline] = await Promise.all([
+                fs.readFile(path.join(procRoot, pid, 'comm'), 'utf8').catch(() => ''),
+                fs.readFile(path.join(procRoot, pid, 'cmdline'), 'utf8').catch(() => '')
+            ]);
+
+            // Kernel threads and processes that exited in the meantime have neither
+            if (!comm && !cmdline) {
+                return null;
+            }
+
+            const executable = cmdline.split('\0')[0];
+            return {
+                pid: Number(pid),
+                comm: comm.trim(),
+                command: executable ? path.basename(executable) : ''
+            };
+        }));
+
+        return processes.filter(Boolean);
+    }
+
+    // 🏃 Processes whose executable matches one of the given names
+    async findRunning(names = []) {
+        if (names.length === 0) {
+            return [];
+        }
+
+        const wanted = names.map(ProcessDetector.normalizeName);
+        const processes = await this.getProcesses();
+
+        return processes.filter(({ comm, command }) => wanted.some(name =>
+            ProcessDetector.normalizeName(command) === name ||
+            // comm is truncated, so long names only match on their first characters
+            ProcessDetector.normalizeName(comm) === name.slice(0, COMM_LENGTH)));
+    }
+}
+
+module.exports = ProcessDetector;
@@ -0,0 +1,147 @@
+const chalk = require('chalk');
+
+const FRAMES = ['⠋', '⠙', '⠹', '⠸', '⠼', '⠴', '⠦', '⠧', '⠇', '⠏'];
+const ANSI_PATTERN = /\u001b\[[0-9;]*[A-Za-z]/g;
+
+// 📋 A single line of the progress view, mirrors the spinner methods the cleaner uses
+class ProgressTask {
+    constructor(view, text) {
+        this.view = view;
+        this.text = text;
+        this.state = 'pending';
+        this.result = null;
+    }
+
+    start(text) {
+        if (text) this.text = text;
+        if (this.state === 'pending') {
+            this.state = 'running';
+            this.view.render();
+        }
+        return this;
+    }
+
+    succeed(text) {
+        return this.finish(`${chalk.green('✔')} ${text || this.text}`);
+    }
+
+    fail(text) {
+        return this.finish(`${chalk.red('✖')} ${text || this.text}`);
+    }
+
+    warn(text) {
+        return this.finish(`${chalk.yellow('⚠')} ${text || this.text}`);
+    }
+
+    info(text) {
+        return this.finish(`${chalk.blue('ℹ')} ${text || this.text}`);
+    }
+
+    finish(line) {
+        this.state = 'done';
+        this.result = line;
+        this.view.flush();
+        return this;
+    }
+}
+
+class ProgressView {
+    constructor(options = {}) {
+        this.stream = options.stream || process.stderr;
+        this.live = options.live !== undefined ? options.live : Boolean(this.stream.isTTY) && !process.env.CI;
+        this.items = [];
+        this.flushed = 0;
+        this.renderedRows = 0;
+        this.frame = 0;
+        this.timer = null;
+    }
+
+    // 📌 Add a heading, printed once everything before it is done
+    section(text) {
+        this.items.push({ state: 'done', result: text });
+        this.flush();
+    }
+
+    // ➕ Add a task line; results are printed in the order tasks were added
+    task(text) {
+        const task = new ProgressTask(this, text);
+        this.items.push(task);
+        this.startTimer();
+        return task;
+    }
+
+    // 📝 Print a message above the live region without corrupting it
+    log(message, stream = process.stdout) {
+        this.clear();
+        stream.write(`${message}\n`);
+        this.render();
+    }
+
+    // 🖨️ Print finished lines in order, stopping at the first unfinished one
+    flush() {
+        this.clear();
+        while (this.flushed < this.items.length && this.items[this.flushed].state === 'done') {
+            this.stream.write(`${this.items[this.flushed].result}\n`);
+            this.flushed++;
+        }
+        this.render();
+    }
+
+    // 🔄 Draw the running tasks below the finished output
+    render() {
+        if (!this.live) return;
+        this.clear();
+
+        const columns = this.stream.columns || 80;
+        const lines = this.items
+            .filter(item => item.state === 'running')
+            .map(item => `${chalk.cyan(FRAMES[this.frame % FRAMES.length])} ${this.truncate(item.text, columns - 4)}`);
+
+        // Finished tasks waiting on an earlier one are shown as queued results
+        const waiting = this.items.slice(this.flushed)
+            .filter(item => item instanceof ProgressTask && item.state === 'done').length;
+        if (waiting > 0) {
+            lines.push(chalk.gray(`  … ${waiting} finished, waiting for earlier targets`));
+        }
+
+        if (lines.length > 0) {
+            this.stream.write(lines.join('\n') + '\n');
+        }
+        this.renderedRows = lines.length;
+    }
+
+    // 🧽 Remove the live region from the terminal
+    clear() {
+        if (!this.live || this.renderedRows === 0) return;
+        this.stream.write('\u001b[1A\u001b[2K'.repeat(this.renderedRows) + '\r');
+        this.renderedRows = 0;
+    }
+
+    // ✂️ Keep live lines on a single terminal row
+    truncate(text, width) {
+        const plain = String(text).replace(ANSI_PATTERN, '');
+        return plain.length > width ? `${plain.slice(0, Math.max(0, width - 1))}…` : plain;
+    }
+
+    // ⏱️ Animate the spinner frames of running tasks
+    startTimer() {
+        if (!this.live || this.timer) return;
+        this.timer = setInterval(() => {
+            this.frame++;
+            this.render();
+        }, 100);
+        this.timer.unref();
+    }
+
+    // 🏁 Stop animating and print whatever is left
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        this.flush();
+        this.clear();
+    }
+}
+
+module.exports = ProgressView;
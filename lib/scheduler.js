@@ -0,0 +1,367 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { spawn } = require('child_process');
+
+const UNIT_NAME = 'ultra-cleaner';
+// Marks our line in the crontab so it can be found and replaced
+const CRON_MARKER = '# ultra-cleaner schedule';
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// 🐚 Run a command and collect its output; never rejects, a missing command has code null
+function runCommand(command, args = [], { input = null } = {}) {
+    return new Promise(resolve => {
+        let stdout = '';
+        let stderr = '';
+        const child = spawn(command, args, { stdio: 'pipe' });
+
+        child.stdout.on('data', chunk => { stdout += chunk; });
+        child.stderr.on('data', chunk => { stderr += chunk; });
+        child.on('error', error => resolve({ code: null, stdout, stderr: error.message }));
+        child.on('close', code => resolve({ code, stdout, stderr }));
+        child.stdin.on('error', () => {});
+        child.stdin.end(input === null ? undefined : input);
+    });
+}
+
+// 🔤 Quote an argument for a systemd Exec line
+function quoteSystemd(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/%/g, '%%').replace(/\$/g, '$$$$')}"`;
+}
+
+// 🔤 Quote an argument for the shell that runs a crontab line; % ends the command there unless escaped
+function quoteShell(value) {
+    return `'${String(value).replace(/'/g, '\'\\\'\'').replace(/%/g, '\\%')}'`;
+}
+
+// 🗓️ Installs the configured `schedule` as a systemd user timer, or a crontab entry without systemd
+class Scheduler {
+    constructor(options = {}) {
+        this.options = {
+            platform: os.platform(),
+            homeDir: os.homedir(),
+            env: process.env,
+            nodePath: process.execPath,
+            scriptPath: path.join(__dirname, '..', 'bin', 'ultra-clean.js'),
+            // Passed to the scheduled run with --config when set
+            configPath: null,
+            unitName: UNIT_NAME,
+            // Output of cron runs; systemd runs go to the journal
+            logPath: null,
+            run: runCommand,
+            ...options
+        };
+
+        if (!this.options.logPath) {
+            this.options.logPath = path.join(this.options.homeDir, '.ultra-cleaner-schedule.log');
+        }
+    }
+
+    // ⏰ Frequency, day and time of a schedule section, checked
+    static parseSchedule(schedule = {}) {
+        const frequency = schedule.frequency || 'weekly';
+        const dayOfWeek = schedule.dayOfWeek || 'sunday';
+        const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(schedule.time || '02:00');
+
+        if (!['daily', 'weekly', 'monthly'].includes(frequency)) {
+            throw new Error(`Unknown schedule frequency: ${frequency} (expected daily, weekly or monthly)`);
+        }
+        if (!DAYS.includes(dayOfWeek)) {
+            throw new Error(`Unknown schedule day: ${dayOfWeek}`);
+        }
+        if (!match) {
+            throw new Error(`Invalid schedule time: ${schedule.time} (expected HH:MM)`);
+        }
+
+        return { frequency, dayOfWeek, hour: parseInt(match[1], 10), minute: parseInt(match[2], 10) };
+    }
+
+    // 📝 "weekly on sunday at 02:00"
+    static describe(schedule) {
+        const { frequency, dayOfWeek, hour, minute } = Scheduler.parseSchedule(schedule);
+        const time = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+        const day = { daily: '', weekly: ` on ${dayOfWeek}`, monthly: ' on the 1st' }[frequency];
+        return `${frequency}${day} at ${time}`;
+    }
+
+    // 🕰️ systemd OnCalendar expression; monthly runs on the first of the month
+    static toOnCalendar(schedule) {
+        const { frequency, dayOfWeek, hour, minute } = Scheduler.parseSchedule(schedule);
+        const time = `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}:00`;
+        const weekday = dayOfWeek.charAt(0).toUpperCase() + dayOfWeek.slice(1, 3);
+
+        return {
+            daily: `*-*-* ${time}`,
+            weekly: `${weekday} *-*-* ${time}`,
+            monthly: `*-*-01 ${time}`
+        }[frequency];
+    }
+
+    // 🕰️ Five-field cron expression for the same times
+    static toCronExpression(schedule) {
+        const { frequency, dayOfWeek, hour, minute } = Scheduler.parseSchedule(schedule);
+        return {
+            daily: `${minute} ${hour} * * *`,
+            weekly: `${minute} ${hour} * * ${DAYS.indexOf(dayOfWeek)}`,
+            monthly: `${minute} ${hour} 1 * *`
+        }[frequency];
+    }
+
+    // ⏭️ Next local time the schedule fires after a date
+    static nextRun(schedule, from = new Date()) {
+        const { frequency, dayOfWeek, hour, minute } = Scheduler.parseSchedule(schedule);
+        const next = new Date(from);
+        next.setSeconds(0, 0);
+        next.setHours(hour, minute);
+
+        const matches = date => frequency === 'daily' ||
+            (frequency === 'weekly' && date.getDay() === DAYS.indexOf(dayOfWeek)) ||
+            (frequency === 'monthly' && date.getDate() === 1);
+
+        // Within a little more than a month one of the days matches
+        for (let day = 0; day < 32; day++) {
+            if (next > from && matches(next)) {
+                return next;
+            }
+            next.setDate(next.getDate() + 1);
+            next.setHours(hour, minute);
+        }
+        return null;
+    }
+
+    // 📅 Local "YYYY-MM-DD HH:MM"
+    static formatDate(date) {
+        const pad = value => String(value).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    // 🚀 Command line of the scheduled run
+    getCommand() {
+        return [
+            this.options.nodePath,
+            this.options.scriptPath,
+            'clean',
+            '--scheduled',
+            '--yes',
+            '--json',
+            ...(this.options.configPath ? ['--config', path.resolve(this.options.configPath)] : [])
+        ];
+    }
+
+    // 📂 Where systemd looks for user units
+    getUnitDir() {
+        const configHome = this.options.env.XDG_CONFIG_HOME || path.join(this.options.homeDir, '.config');
+        return path.join(configHome, 'systemd', 'user');
+    }
+
+    // 📄 Service and timer unit files
+    getUnitPaths() {
+        const directory = this.getUnitDir();
+        return {
+            service: path.join(directory, `${this.options.unitName}.service`),
+            timer: path.join(directory, `${this.options.unitName}.timer`)
+        };
+    }
+
+    // 🔍 systemd when a user manager is running, otherwise cron when crontab exists, otherwise null
+    async detectBackend() {
+        if (this.options.platform === 'linux') {
+            const systemd = await this.options.run('systemctl', ['--user', 'show-environment']);
+            if (systemd.code === 0) {
+                return 'systemd';
+            }
+        }
+
+        // "no crontab for user" still exits non-zero, only a missing binary has no code
+        const cron = await this.options.run('crontab', ['-l']);
+        return cron.code !== null ? 'cron' : null;
+    }
+
+    // 📄 Contents of the service and timer units
+    renderUnits(schedule) {
+        const { frequency } = Scheduler.parseSchedule(schedule);
+        const pathVariable = this.options.env.PATH ? `Environment=${quoteSystemd(`PATH=${this.options.env.PATH}`)}\n` : '';
+
+        return {
+            service: '[Unit]\n' +
+                'Description=Ultra System Cleaner scheduled cleanup\n\n' +
+                '[Service]\n' +
+                'Type=oneshot\n' +
+                pathVariable +
+                `ExecStart=${this.getCommand().map(quoteSystemd).join(' ')}\n` +
+                'Nice=10\n' +
+                'IOSchedulingClass=idle\n',
+            timer: '[Unit]\n' +
+                `Description=Run Ultra System Cleaner ${frequency}\n\n` +
+                '[Timer]\n' +
+                `OnCalendar=${Scheduler.toOnCalendar(schedule)}\n` +
+                // Catch up on a run missed while the machine was off
+                'Persistent=true\n\n' +
+                '[Install]\n' +
+                'WantedBy=timers.target\n'
+        };
+    }
+
+    // 📄 Our crontab line
+    renderCronLine(schedule) {
+        const pathVariable = this.options.env.PATH ? `PATH=${quoteShell(this.options.env.PATH)} ` : '';
+        return `${Scheduler.toCronExpression(schedule)} ${pathVariable}${this.getCommand().map(quoteShell).join(' ')} ` +
+            `>> ${quoteShell(this.options.logPath)} 2>&1 ${CRON_MARKER}`;
+    }
+
+    // 📥 Install or update the schedule: { backend, files, calendar, command }
+    async install(schedule) {
+        const backend = await this.detectBackend();
+        const command = this.getCommand();
+
+        if (backend === 'systemd') {
+            const units = this.renderUnits(schedule);
+            const files = this.getUnitPaths();
+
+            await fs.mkdir(this.getUnitDir(), { recursive: true });
+            await fs.writeFile(files.service, units.service, 'utf8');
+            await fs.writeFile(files.timer, units.timer, 'utf8');
+
+            await this.systemctl(['daemon-reload']);
+            await this.systemctl(['enable', '--now', `${this.options.unitName}.timer`]);
+
+            return { backend, files: [files.service, files.timer], calendar: Scheduler.toOnCalendar(schedule), command };
+        }
+
+        if (backend === 'cron') {
+            const lines = (await this.readCrontab()).filter(line => !line.endsWith(CRON_MARKER));
+            lines.push(this.renderCronLine(schedule));
+            await this.writeCrontab(lines);
+
+            return { backend, files: [], calendar: Scheduler.toCronExpression(schedule), command };
+        }
+
+        throw Object.assign(new Error('Scheduling needs a systemd user session or crontab. On Windows, create a Task Scheduler task that runs: ' +
+            command.map(argument => (/\s/.test(argument) ? `"${argument}"` : argument)).join(' ')), { code: 'ENOSCHEDULER' });
+    }
+
+    // 🗑️ Remove the timer and the crontab entry, whichever exist: { removed }
+    async remove() {
+        const removed = [];
+        const files = this.getUnitPaths();
+
+        if (await this.fileExists(files.timer) || await this.fileExists(files.service)) {
+            // The units are removed even when the user manager cannot be reached
+            await this.options.run('systemctl', ['--user', 'disable', '--now', `${this.options.unitName}.timer`]);
+            for (const file of [files.timer, files.service]) {
+                if (await this.fileExists(file)) {
+                    await fs.unlink(file);
+                    removed.push(file);
+                }
+            }
+            await this.options.run('systemctl', ['--user', 'daemon-reload']);
+        }
+
+        const lines = await this.readCrontab();
+        if (lines.some(line => line.endsWith(CRON_MARKER))) {
+            await this.writeCrontab(lines.filter(line => !line.endsWith(CRON_MARKER)));
+            removed.push('crontab');
+        }
+
+        return { removed };
+    }
+
+    // 📋 Where the schedule is installed and when it runs:
+    // { installed, backend, calendar, upToDate, active, next, last, lastExitCode }
+    async status(schedule) {
+        const files = this.getUnitPaths();
+
+        if (await this.fileExists(files.timer)) {
+            const timer = await fs.readFile(files.timer, 'utf8');
+            const calendar = (/^OnCalendar=(.*)$/m.exec(timer) || [])[1] || null;
+            const timerState = await this.showUnit(`${this.options.unitName}.timer`, ['ActiveState', 'NextElapseUSecRealtime', 'LastTriggerUSec']);
+            const serviceState = await this.showUnit(`${this.options.unitName}.service`, ['ExecMainStatus', 'Result']);
+
+            return {
+                installed: true,
+                backend: 'systemd',
+                calendar,
+                upToDate: calendar === Scheduler.toOnCalendar(schedule),
+                active: timerState.ActiveState === 'active',
+                next: timerState.NextElapseUSecRealtime || null,
+                last: timerState.LastTriggerUSec || null,
+                lastExitCode: serviceState.ExecMainStatus !== undefined && timerState.LastTriggerUSec
+                    ? parseInt(serviceState.ExecMainStatus, 10)
+                    : null
+            };
+        }
+
+        const line = (await this.readCrontab()).find(entry => entry.endsWith(CRON_MARKER));
+        if (line) {
+            const calendar = line.split(/\s+/).slice(0, 5).join(' ');
+            const upToDate = calendar === Scheduler.toCronExpression(schedule);
+
+            return {
+                installed: true,
+                backend: 'cron',
+                calendar,
+                upToDate,
+                active: true,
+                // cron cannot tell, so the next run is worked out from the configuration
+                next: upToDate ? Scheduler.formatDate(Scheduler.nextRun(schedule)) : null,
+                last: null,
+                lastExitCode: null
+            };
+        }
+
+        return { installed: false, backend: null, calendar: null, upToDate: false, active: false, next: null, last: null, lastExitCode: null };
+    }
+
+    // 🔧 systemctl --user, failing with its error output
+    async systemctl(args) {
+        const result = await this.options.run('systemctl', ['--user', ...args]);
+        if (result.code !== 0) {
+            throw new Error(`systemctl --user ${args.join(' ')} failed: ${result.stderr.trim() || `exit code ${result.code}`}`);
+        }
+        return result;
+    }
+
+    // 🔎 Properties of a unit; "n/a" and empty values are left out
+    async showUnit(unit, properties) {
+        const result = await this.options.run('systemctl', ['--user', 'show', unit, ...properties.map(property => `--property=${property}`)]);
+        const values = {};
+
+        for (const line of result.code === 0 ? result.stdout.split('\n') : []) {
+            const separator = line.indexOf('=');
+            const value = line.slice(separator + 1).trim();
+            if (separator > 0 && value && value !== 'n/a') {
+                values[line.slice(0, separator)] = value;
+            }
+        }
+        return values;
+    }
+
+    // 📄 Current crontab lines, none when the user has no crontab
+    async readCrontab() {
+        const result = await this.options.run('crontab', ['-l']);
+        return result.code === 0 ? result.stdout.split('\n').filter(line => line.trim() !== '') : [];
+    }
+
+    // 💾 Replace the crontab
+    async writeCrontab(lines) {
+        const result = await this.options.run('crontab', ['-'], { input: lines.length > 0 ? `${lines.join('\n')}\n` : '' });
+        if (result.code !== 0) {
+            throw new Error(`crontab - failed: ${result.stderr.trim() || `exit code ${result.code}`}`);
+        }
+    }
+
+    // 🛠️ Helper function to check if file exists
+    async fileExists(filePath) {
+        try {
+            await fs.access(filePath);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+}
+
+Scheduler.UNIT_NAME = UNIT_NAME;
+Scheduler.CRON_MARKER = CRON_MARKER;
+
+module.exports = Scheduler;
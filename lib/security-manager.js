@@ -2,6 +2,11 @@ const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
 const chalk = require('chalk');
+const { matchesPattern } = require('./pattern-matcher');
+const { createBackupArchive, verifyBackupArchive, restoreBackupArchive } = require('./backup-archive');
+const PathPolicy = require('./path-policy');
+
+const BACKUP_EXTENSIONS = ['.backup', '.tar', '.tar.gz', '.enc', '.manifest.json'];
 
 class SecurityManager {
     constructor(options = {}) {
@@ -12,11 +17,31 @@ class SecurityManager {
             logLocation: path.join(os.homedir(), '.ultra-cleaner.log'),
             maxBackupSize: 1024 * 1024 * 1024, // 1GB
             retentionDays: 30,
+            // Expire backups older than retentionDays when the backup system starts
+            autoCleanup: true,
+            compression: true,
+            verifyIntegrity: true,
+            encrypt: false,
+            passphrase: process.env.ULTRA_CLEANER_BACKUP_PASSPHRASE || null,
+            securityLevel: 'standard',
+            blockSystemPaths: null,
+            allowedPathsOnly: false,
+            allowedPaths: [],
             ...options
         };
 
+        this.pathPolicy = new PathPolicy({
+            level: this.options.securityLevel,
+            blockSystemPaths: this.options.blockSystemPaths,
+            allowedPathsOnly: this.options.allowedPathsOnly,
+            allowedPaths: this.options.allowedPaths
+        });
+
         this.operationLog = [];
         this.backups = new Map();
+        this.skippedBackups = [];
+        this.boundarySkips = [];
+        this.blockedOperations = [];
         this.currentSession = Date.now();
     }
 
@@ -51,7 +76,7 @@ class SecurityManager {
             });
 
         } catch (error) {
-            console.warn(chalk.yellow(`⚠️  Failed to initialize logging: ${error.message}`));
+            this.print(chalk.yellow(`⚠️  Failed to initialize logging: ${error.message}`), process.stderr);
         }
     }
 
@@ -61,8 +86,13 @@ class SecurityManager {
             // Ensure backup directory exists
             await fs.mkdir(this.options.backupLocation, { recursive: true });
 
+            // Load the persistent backup catalog
+            await this.loadCatalog();
+
             // Clean old backups
-            await this.cleanupOldBackups();
+            if (this.options.autoCleanup) {
+                await this.cleanupOldBackups();
+            }
 
             this.log('INFO', 'Backup system initialized', {
                 location: this.options.backupLocation,
@@ -70,7 +100,7 @@ class SecurityManager {
             });
 
         } catch (error) {
-            console.warn(chalk.yellow(`⚠️  Failed to initialize backup: ${error.message}`));
+            this.print(chalk.yellow(`⚠️  Failed to initialize backup: ${error.message}`), process.stderr);
         }
     }
 
@@ -93,17 +123,20 @@ class SecurityManager {
             'WARN': '⚠️',
             'INFO': 'ℹ️',
             'DEBUG': '🔍',
-            'SUCCESS': '✅'
+            'SUCCESS': '✅',
+            'BLOCKED': '⛔'
         };
 
         const emoji = levelEmoji[level] || '📝';
 
         if (level === 'ERROR') {
-            console.error(`${emoji} ${message}`);
+            this.print(`${emoji} ${message}`, process.stderr);
+        } else if (level === 'BLOCKED') {
+            this.print(chalk.red(`${emoji} ${message}`), process.stderr);
         } else if (level === 'WARN') {
-            console.warn(chalk.yellow(`${emoji} ${message}`));
+            this.print(chalk.yellow(`${emoji} ${message}`), process.stderr);
         } else if (this.options.verbose || level === 'SUCCESS') {
-            console.log(chalk.gray(`${emoji} ${message}`));
+            this.print(chalk.gray(`${emoji} ${message}`), process.stdout);
         }
 
         // File logging
@@ -114,6 +147,15 @@ class SecurityManager {
         }
     }
 
+    // 🖨️ Console output, routed through the caller's progress view when one is set
+    print(message, stream) {
+        if (this.options.output) {
+            this.options.output(message, stream);
+        } else {
+            stream.write(`${message}\n`);
+        }
+    }
+
     // 📄 Write to log file
     async logToFile(level, message, context) {
         try {
@@ -134,158 +176,334 @@ class SecurityManager {
     }
 
     // 💾 Create backup before operation
-    async createBackup(targetPath, operation = 'delete') {
+    async createBackup(targetPath, operation = 'delete', { files = null, category = null } = {}) {
         if (!this.options.enableBackup) {
             return null;
         }
 
-        try {
-            const backupId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-            const backupPath = path.join(this.options.backupLocation, `${backupId}.backup`);
+        const backupId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const extension = `${this.options.compression ? '.tar.gz' : '.tar'}${this.options.encrypt ? '.enc' : ''}`;
+        const backupPath = path.join(this.options.backupLocation, `${backupId}${extension}`);
+        const manifestPath = path.join(this.options.backupLocation, `${backupId}.manifest.json`);
 
+        try {
             this.log('INFO', `Creating backup for ${operation}`, {
                 targetPath,
                 backupId,
                 backupPath
             });
 
-            // For directories, create tar/zip backup
-            if ((await fs.stat(targetPath)).isDirectory()) {
-                await this.createDirectoryBackup(targetPath, backupPath);
-            } else {
-                await this.createFileBackup(targetPath, backupPath);
+            // Single files are archived relative to their parent directory
+            const isDirectory = (await fs.stat(targetPath)).isDirectory();
+            const root = isDirectory ? targetPath : path.dirname(targetPath);
+            const archive = await createBackupArchive({
+                root,
+                files: isDirectory ? files : [targetPath],
+                archivePath: backupPath,
+                compression: this.options.compression,
+                encryption: this.options.encrypt ? { passphrase: this.options.passphrase } : null
+            });
+
+            const manifest = {
+                id: backupId,
+                version: 1,
+                originalPath: targetPath,
+                root,
+                operation,
+                session: this.currentSession,
+                timestamp: Date.now(),
+                compression: this.options.compression,
+                encrypted: this.options.encrypt,
+                encryption: this.options.encrypt ? { algorithm: 'aes-256-gcm', kdf: 'scrypt' } : null,
+                archive: path.basename(backupPath),
+                archiveSha256: archive.archiveSha256,
+                rootEntry: archive.rootEntry,
+                entries: archive.entries
+            };
+
+            if (this.options.verifyIntegrity) {
+                await verifyBackupArchive(backupPath, manifest, { passphrase: this.options.passphrase });
             }
 
+            await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+
             this.backups.set(backupId, {
                 id: backupId,
                 originalPath: targetPath,
                 backupPath,
+                manifestPath,
                 operation,
-                timestamp: Date.now(),
+                category,
+                encrypted: manifest.encrypted,
+                session: this.currentSession,
+                timestamp: manifest.timestamp,
+                files: manifest.entries.filter(entry => entry.type === 'file').length,
                 size: await this.getBackupSize(backupPath)
             });
+            await this.saveCatalog();
 
             this.log('SUCCESS', `Backup created: ${backupId}`, {
                 originalPath: targetPath,
                 backupPath,
-                size: this.backups.get(backupId).size
+                size: this.backups.get(backupId).size,
+                verified: this.options.verifyIntegrity,
+                encrypted: manifest.encrypted
             });
 
             return backupId;
 
         } catch (error) {
+            await this.removeBackupFiles(backupPath, manifestPath);
             this.log('ERROR', `Failed to create backup: ${error.message}`, { targetPath });
             return null;
         }
     }
 
-    // 📁 Create directory backup
-    async createDirectoryBackup(sourcePath, backupPath) {
-        // For now, create a simple copy
-        // In production, you'd want proper archiving
+    // 📋 Load a backup manifest from disk
+    async loadManifest(backupId) {
+        const manifestPath = this.backups.get(backupId)?.manifestPath ||
+            path.join(this.options.backupLocation, `${backupId}.manifest.json`);
+
         try {
-            await fs.cp(sourcePath, backupPath, { recursive: true });
+            return JSON.parse(await fs.readFile(manifestPath, 'utf8'));
         } catch (error) {
-            // Fallback: create manifest of files
-            await this.createManifestBackup(sourcePath, backupPath);
+            throw new Error(`Backup not found: ${backupId}`);
         }
     }
 
-    // 📄 Create file backup
-    async createFileBackup(sourcePath, backupPath) {
-        await fs.copyFile(sourcePath, backupPath);
+    // ✅ Verify a backup archive against its checksum manifest
+    async verifyBackup(backupId) {
+        const manifest = await this.loadManifest(backupId);
+        const backupPath = path.join(this.options.backupLocation, manifest.archive);
+        await verifyBackupArchive(backupPath, manifest, { passphrase: this.options.passphrase });
+        return true;
     }
 
-    // 📋 Create manifest backup for directories
-    async createManifestBackup(sourcePath, backupPath) {
-        const manifest = {
-            type: 'manifest',
-            sourcePath,
-            timestamp: Date.now(),
-            files: []
-        };
+    // 🔄 Restore from backup
+    async restoreBackup(backupId) {
+        try {
+            const manifest = await this.loadManifest(backupId);
+            const backupPath = path.join(this.options.backupLocation, manifest.archive);
+
+            this.log('INFO', `Restoring from backup: ${backupId}`, {
+                originalPath: manifest.originalPath,
+                backupPath
+            });
 
+            const restored = await restoreBackupArchive(backupPath, manifest, {
+                verify: this.options.verifyIntegrity,
+                passphrase: this.options.passphrase
+            });
+
+            this.log('SUCCESS', `Backup restored: ${backupId}`, {
+                restoredPath: manifest.originalPath,
+                entries: restored
+            });
+
+            return true;
+
+        } catch (error) {
+            this.log('ERROR', `Failed to restore backup: ${error.message}`, { backupId });
+            return false;
+        }
+    }
+
+    // 📚 Load the backup catalog from disk
+    async loadCatalog() {
         try {
-            const items = await fs.readdir(sourcePath, { withFileTypes: true });
-
-            for (const item of items) {
-                const itemPath = path.join(sourcePath, item.name);
-                const stat = await fs.stat(itemPath);
-
-                manifest.files.push({
-                    name: item.name,
-                    path: itemPath,
-                    isDirectory: item.isDirectory(),
-                    size: stat.size,
-                    modified: stat.mtime
+            const catalog = JSON.parse(await fs.readFile(this.getCatalogPath(), 'utf8'));
+
+            for (const entry of catalog.backups || []) {
+                this.backups.set(entry.id, {
+                    ...entry,
+                    backupPath: path.join(this.options.backupLocation, entry.archive),
+                    manifestPath: path.join(this.options.backupLocation, entry.manifest)
                 });
             }
-
-            await fs.writeFile(backupPath, JSON.stringify(manifest, null, 2));
         } catch (error) {
-            throw new Error(`Failed to create manifest backup: ${error.message}`);
+            if (error.code !== 'ENOENT') {
+                this.log('WARN', `Failed to read backup catalog: ${error.message}`);
+            }
         }
+
+        return this.backups;
     }
 
-    // 🔄 Restore from backup
-    async restoreBackup(backupId) {
+    // 💾 Persist the backup catalog
+    async saveCatalog() {
+        const catalog = {
+            version: 1,
+            updated: new Date().toISOString(),
+            backups: Array.from(this.backups.values()).map(({ backupPath, manifestPath, ...entry }) => ({
+                ...entry,
+                archive: path.basename(backupPath),
+                manifest: path.basename(manifestPath)
+            }))
+        };
+
+        // Write to a temporary file first so a crash never leaves a truncated catalog
+        const catalogPath = this.getCatalogPath();
+        const tempPath = `${catalogPath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(catalog, null, 2));
+        await fs.rename(tempPath, catalogPath);
+    }
+
+    // 📍 Location of the backup catalog
+    getCatalogPath() {
+        return path.join(this.options.backupLocation, 'catalog.json');
+    }
+
+    // 🔎 List cataloged backups, newest first
+    listBackups({ session = null, since = null, until = null, pathFilter = null } = {}) {
+        return Array.from(this.backups.values())
+            .filter(backup => session === null || String(backup.session) === String(session))
+            .filter(backup => since === null || backup.timestamp >= since.getTime())
+            .filter(backup => until === null || backup.timestamp <= until.getTime())
+            .filter(backup => pathFilter === null || this.matchesBackupPath(backup.originalPath, pathFilter))
+            .sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    // 🎯 Match a backup path against a prefix or glob filter
+    matchesBackupPath(originalPath, pathFilter) {
+        if (pathFilter.includes('*')) {
+            return matchesPattern(originalPath, pathFilter);
+        }
+
+        const prefix = path.resolve(pathFilter);
+        return originalPath === prefix || originalPath.startsWith(prefix + path.sep);
+    }
+
+    // 🔄 Restore every backup taken during a session
+    async restoreSession(session) {
+        const backups = this.listBackups({ session });
+        if (backups.length === 0) {
+            throw new Error(`No backups found for session: ${session}`);
+        }
+
+        const results = [];
+        for (const backup of backups) {
+            results.push({ id: backup.id, restored: await this.restoreBackup(backup.id) });
+        }
+
+        return results;
+    }
+
+    // 🗑️ Delete a backup and its catalog entry
+    async deleteBackup(backupId) {
         const backup = this.backups.get(backupId);
         if (!backup) {
             throw new Error(`Backup not found: ${backupId}`);
         }
 
-        try {
-            this.log('INFO', `Restoring from backup: ${backupId}`, {
-                originalPath: backup.originalPath,
-                backupPath: backup.backupPath
-            });
+        await this.removeBackupFiles(backup.backupPath, backup.manifestPath);
+        this.backups.delete(backupId);
+        await this.saveCatalog();
 
-            const backupContent = await fs.readFile(backup.backupPath, 'utf8');
-            const manifest = JSON.parse(backupContent);
-
-            if (manifest.type === 'manifest') {
-                // Restore from manifest
-                for (const file of manifest.files) {
-                    if (file.isDirectory) {
-                        await fs.mkdir(file.path, { recursive: true });
-                    } else {
-                        // For file restore, you'd need the actual file content
-                        // This is a simplified version
-                        this.log('WARN', `Cannot restore file content from manifest: ${file.path}`);
-                    }
-                }
-            } else {
-                // Restore from direct copy
-                await fs.cp(backup.backupPath, backup.originalPath, { recursive: true });
-            }
+        this.log('INFO', `Backup deleted: ${backupId}`, { originalPath: backup.originalPath });
+        return true;
+    }
 
-            this.log('SUCCESS', `Backup restored: ${backupId}`, {
-                restoredPath: backup.originalPath
+    // 📏 Total size of all cataloged backups
+    getTotalBackupSize() {
+        return Array.from(this.backups.values()).reduce((sum, backup) => sum + (backup.size || 0), 0);
+    }
+
+    // 📐 Estimate the archive size for a set of files (tar pads to 512 byte blocks plus a header each)
+    estimateBackupSize(files) {
+        return files.reduce((sum, file) => sum + Math.ceil((file.size || 0) / 512) * 512 + 512, 0);
+    }
+
+    // 💰 Make room for a new backup by evicting the oldest backups first
+    async reserveBackupSpace(estimatedSize) {
+        const budget = this.options.maxBackupSize;
+        const evicted = [];
+
+        if (!budget) {
+            return { allowed: true, evicted };
+        }
+
+        if (estimatedSize > budget) {
+            return { allowed: false, reason: 'exceeds-budget', evicted };
+        }
+
+        // Backups from this session protect files that are already gone, never evict them
+        const candidates = Array.from(this.backups.values())
+            .filter(backup => String(backup.session) !== String(this.currentSession))
+            .sort((a, b) => a.timestamp - b.timestamp);
+
+        while (this.getTotalBackupSize() + estimatedSize > budget && candidates.length > 0) {
+            const oldest = candidates.shift();
+            await this.deleteBackup(oldest.id);
+            evicted.push(oldest.id);
+
+            this.log('INFO', `Evicted backup to stay within budget: ${oldest.id}`, {
+                originalPath: oldest.originalPath,
+                size: oldest.size,
+                budget
             });
+        }
 
-            return true;
+        if (this.getTotalBackupSize() + estimatedSize > budget) {
+            return { allowed: false, reason: 'budget-exhausted', evicted };
+        }
 
-        } catch (error) {
-            this.log('ERROR', `Failed to restore backup: ${error.message}`, { backupId });
-            return false;
+        return { allowed: true, evicted };
+    }
+
+    // 📝 Record a target that was cleaned without a backup
+    recordSkippedBackup(targetPath, reason, estimatedSize) {
+        const entry = {
+            path: targetPath,
+            reason,
+            estimatedSize,
+            budget: this.options.maxBackupSize,
+            timestamp: Date.now()
+        };
+
+        this.skippedBackups.push(entry);
+        this.log('WARN', `Cleaned without backup (${reason}): ${targetPath}`, entry);
+        return entry;
+    }
+
+    // 🧽 Remove the files belonging to a backup
+    async removeBackupFiles(...backupFiles) {
+        for (const file of backupFiles) {
+            await fs.unlink(file).catch(() => {});
         }
     }
 
     // 🗑️ Cleanup old backups
     async cleanupOldBackups() {
         try {
-            const files = await fs.readdir(this.options.backupLocation);
             const cutoffTime = Date.now() - (this.options.retentionDays * 24 * 60 * 60 * 1000);
 
+            // Expire cataloged backups by their creation time
+            for (const backup of Array.from(this.backups.values())) {
+                if (backup.timestamp < cutoffTime) {
+                    await this.deleteBackup(backup.id);
+                    this.log('INFO', `Cleaned old backup: ${backup.id}`);
+                }
+            }
+
+            // Sweep leftover files that are not in the catalog
+            const cataloged = new Set();
+            for (const backup of this.backups.values()) {
+                cataloged.add(path.basename(backup.backupPath));
+                cataloged.add(path.basename(backup.manifestPath));
+            }
+
+            const files = await fs.readdir(this.options.backupLocation);
             for (const file of files) {
-                if (file.endsWith('.backup')) {
-                    const filePath = path.join(this.options.backupLocation, file);
-                    const stat = await fs.stat(filePath);
-
-                    if (stat.mtime.getTime() < cutoffTime) {
-                        await fs.unlink(filePath);
-                        this.log('INFO', `Cleaned old backup: ${file}`);
-                    }
+                if (cataloged.has(file) || !BACKUP_EXTENSIONS.some(extension => file.endsWith(extension))) {
+                    continue;
+                }
+
+                const filePath = path.join(this.options.backupLocation, file);
+                const stat = await fs.stat(filePath);
+
+                if (stat.mtime.getTime() < cutoffTime) {
+                    await fs.unlink(filePath);
+                    this.log('INFO', `Cleaned old backup: ${file}`);
                 }
             }
         } catch (error) {
@@ -303,9 +521,40 @@ class SecurityManager {
         }
     }
 
+    // ⛔ Check a path against the path policy, recording blocked operations
+    async checkPathPolicy(targetPath, { operation = 'delete', level = null } = {}) {
+        const result = await this.pathPolicy.check(targetPath, { level });
+
+        if (!result.allowed) {
+            const entry = {
+                path: targetPath,
+                canonicalPath: result.path,
+                operation,
+                reason: result.reason,
+                rule: result.rule,
+                level: result.level,
+                timestamp: Date.now()
+            };
+
+            // The same target can be checked more than once per run (scan, validation, apply)
+            if (!this.blockedOperations.some(blocked => blocked.canonicalPath === entry.canonicalPath)) {
+                this.blockedOperations.push(entry);
+                this.log('BLOCKED', `Blocked by path policy (${result.reason}): ${targetPath}`, entry);
+            }
+        }
+
+        return result;
+    }
+
     // 🔒 Security validation
     async validateOperation(targetPath, operation = 'delete') {
         try {
+            // Path policy is enforced, not just reported
+            const policy = await this.checkPathPolicy(targetPath, { operation });
+            if (!policy.allowed) {
+                return false;
+            }
+
             // Check if path exists
             await fs.access(targetPath);
 
@@ -316,23 +565,6 @@ class SecurityManager {
                 throw new Error(`Insufficient permissions for: ${targetPath}`);
             }
 
-            // Check for system paths (extra caution)
-            const systemPaths = [
-                path.join(os.homedir(), 'AppData'),
-                'C:\\Windows',
-                'C:\\Program Files',
-                '/System',
-                '/usr',
-                '/etc'
-            ];
-
-            for (const systemPath of systemPaths) {
-                if (targetPath.includes(systemPath) && !targetPath.startsWith(os.homedir())) {
-                    this.log('WARN', `Operating on system path: ${targetPath}`, { systemPath });
-                    // Continue but with warning
-                }
-            }
-
             this.log('INFO', `Operation validated: ${operation}`, { targetPath });
             return true;
 
@@ -357,6 +589,18 @@ class SecurityManager {
         });
     }
 
+    // 🔗 Record entries left alone because they cross a mount or symlink boundary
+    recordBoundarySkips(targetPath, items) {
+        if (items.length === 0) return;
+
+        const entries = items.map(item => ({ ...item, target: targetPath, timestamp: Date.now() }));
+        this.boundarySkips.push(...entries);
+        this.log('WARN', `Skipped ${items.length} entries outside the target's filesystem or root: ${targetPath}`, {
+            path: targetPath,
+            skipped: items.slice(0, 20)
+        });
+    }
+
     // 📈 Get operation summary
     getOperationSummary() {
         const errors = this.operationLog.filter(log => log.level === 'ERROR').length;
@@ -369,7 +613,10 @@ class SecurityManager {
             warnings,
             successes,
             session: this.currentSession,
-            backups: this.backups.size
+            backups: this.listBackups({ session: this.currentSession }).length,
+            skippedBackups: this.skippedBackups.length,
+            boundarySkips: this.boundarySkips.length,
+            blocked: this.blockedOperations.length
         };
     }
 
@@ -383,7 +630,10 @@ class SecurityManager {
                 timestamp: new Date().toISOString(),
                 summary: this.getOperationSummary(),
                 operations: this.operationLog,
-                backups: Array.from(this.backups.values())
+                backups: this.listBackups({ session: this.currentSession }),
+                skippedBackups: this.skippedBackups,
+                boundarySkips: this.boundarySkips,
+                blockedOperations: this.blockedOperations
             };
 
             await fs.writeFile(finalReportPath, JSON.stringify(report, null, 2));
@@ -0,0 +1,95 @@
+const fs = require('fs').promises;
+const DiskWatcher = require('./disk-watcher');
+const PluginRegistry = require('./plugin-registry');
+
+// Targets that declare no risk, such as custom paths, rank as medium
+const DEFAULT_RISK = 'medium';
+
+// 🎯 A free space goal on one filesystem: how far off it is, and in which order targets get it there
+class SpaceGoal {
+    constructor(options = {}) {
+        this.options = {
+            // Any path on the filesystem the goal is about
+            mount: null,
+            // Bytes, a size such as "20GB" or a share of the disk such as "25%"
+            target: null,
+            statfs: fs.statfs,
+            stat: fs.stat,
+            ...options
+        };
+
+        if (!this.options.mount) {
+            throw new Error('A free space goal needs a mount point');
+        }
+        if (this.options.target === null || this.options.target === undefined) {
+            throw new Error('A free space goal needs a target');
+        }
+        DiskWatcher.parseThreshold(this.options.target, 0);
+        // fs.promises.statfs arrived in Node.js 18.15
+        if (typeof this.options.statfs !== 'function') {
+            throw new Error(`A free space goal needs Node.js 18.15 or later to read free space (running ${process.version})`);
+        }
+
+        this.device = null;
+    }
+
+    // 📊 Free space now against the goal: { mount, free, total, target, needed }
+    async measure() {
+        const stats = await this.options.statfs(this.options.mount);
+        const total = stats.blocks * stats.bsize;
+        const free = stats.bavail * stats.bsize;
+        const target = DiskWatcher.parseThreshold(this.options.target, total);
+
+        return { mount: this.options.mount, free, total, target, needed: Math.max(0, target - free) };
+    }
+
+    // 🧭 Whether a path lives on the goal's filesystem; cleaning anything else frees nothing there
+    async onSameFilesystem(filePath) {
+        if (this.device === null) {
+            this.device = (await this.options.stat(this.options.mount)).dev;
+        }
+        try {
+            return (await this.options.stat(filePath)).dev === this.device;
+        } catch {
+            return false;
+        }
+    }
+
+    // 🏅 Cleaning order: category priority (lowest number first), then risk, then reclaimable size (largest first)
+    static rank(entries, priorities = {}) {
+        const priorityOf = entry => {
+            const priority = priorities[entry.area] ?? priorities[entry.category];
+            return Number.isFinite(priority) ? priority : Infinity;
+        };
+        const riskOf = entry => PluginRegistry.RISK_LEVELS.indexOf(entry.risk || DEFAULT_RISK);
+
+        return entries
+            .map((entry, index) => ({ entry, index }))
+            .sort((a, b) => (priorityOf(a.entry) - priorityOf(b.entry)) ||
+                (riskOf(a.entry) - riskOf(b.entry)) ||
+                (b.entry.size - a.entry.size) ||
+                (a.index - b.index))
+            .map(({ entry }) => entry);
+    }
+
+    // 🔭 Free space expected after each ranked entry, and the index of the entry that should meet the goal
+    // (-1 when it is met already, ranked.length when cleaning everything falls short)
+    static project(ranked, free, target) {
+        let projected = free;
+        let stopIndex = free >= target ? -1 : ranked.length;
+
+        const steps = ranked.map((entry, index) => {
+            projected += entry.size;
+            if (stopIndex === ranked.length && projected >= target) {
+                stopIndex = index;
+            }
+            return { entry, projectedFree: projected };
+        });
+
+        return { steps, stopIndex };
+    }
+}
+
+SpaceGoal.DEFAULT_RISK = DEFAULT_RISK;
+
+module.exports = SpaceGoal;
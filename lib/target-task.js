@@ -0,0 +1,89 @@
+// Event levels for the spinner-style methods the cleaner calls on a target
+const LEVELS = {
+    succeed: 'success',
+    fail: 'error',
+    warn: 'warning',
+    info: 'info'
+};
+
+// 🎯 One target of a run: collects its outcome and reports it through the cleaner's events
+class TargetTask {
+    constructor(emitter, target) {
+        this.emitter = emitter;
+        this.target = target;
+        this.started = false;
+        this.outcome = null;
+    }
+
+    // ▶️ Mark the target as running, repeated calls are ignored
+    start() {
+        if (!this.started) {
+            this.started = true;
+            this.emitter.emit('target:start', { ...this.target });
+        }
+        return this;
+    }
+
+    // 🔎 The target's files are being collected or re-checked
+    scanning() {
+        this.emitter.emit('scan:start', { ...this.target });
+        return this;
+    }
+
+    // 📈 Report a phase such as backup or removal, with optional counters
+    progress(phase, details = {}) {
+        this.emitter.emit('target:progress', { ...this.target, phase, ...details });
+        return this;
+    }
+
+    succeed(message, details) {
+        return this.finish('succeed', message, details);
+    }
+
+    fail(message, details) {
+        return this.finish('fail', message, details);
+    }
+
+    warn(message, details) {
+        return this.finish('warn', message, details);
+    }
+
+    info(message, details) {
+        return this.finish('info', message, details);
+    }
+
+    // 📝 Remember the outcome; it is reported once the target's worker returns
+    finish(method, message, details = {}) {
+        this.outcome = { level: LEVELS[method], message, ...details };
+        return this;
+    }
+
+    // 🏁 Emit target:done with the outcome and the worker's result
+    done(result = {}, defaultStatus = 'done') {
+        const outcome = this.outcome || { level: 'info', message: this.target.description };
+        const event = {
+            ...this.target,
+            status: outcome.status || result.status || defaultStatus,
+            level: outcome.level,
+            message: outcome.message,
+            size: result.size || 0,
+            count: result.count !== undefined ? result.count : (result.fileCount || 0),
+            ...(outcome.reason ? { reason: outcome.reason } : {}),
+            ...(outcome.error ? { error: outcome.error } : {})
+        };
+
+        // Details a worker may return next to its totals
+        for (const key of ['strategy', 'failed', 'refused', 'inUse', 'backupId']) {
+            if (result[key] !== undefined && result[key] !== null) {
+                event[key] = result[key];
+            }
+        }
+
+        this.emitter.emit('target:done', event);
+        return event;
+    }
+}
+
+TargetTask.LEVELS = LEVELS;
+
+module.exports = TargetTask;
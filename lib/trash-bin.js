@@ -0,0 +1,190 @@
+const fs = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+// 📅 Local time in the YYYY-MM-DDThh:mm:ss format the trash spec expects
+function formatDeletionDate(date) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+// 🔤 URL-escape each path segment as required for the Path= key
+function encodeTrashPath(filePath) {
+    return filePath.split('/').map(segment => encodeURIComponent(segment)).join('/');
+}
+
+class TrashBin {
+    constructor(options = {}) {
+        this.platform = options.platform || os.platform();
+        this.homeTrash = options.homeTrash ||
+            path.join(process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share'), 'Trash');
+        this.trashDirs = new Map();
+    }
+
+    // ❓ Check whether a path lives inside a trash directory
+    isInsideTrash(targetPath) {
+        const resolved = path.resolve(targetPath);
+        return resolved === this.homeTrash ||
+            resolved.startsWith(this.homeTrash + path.sep) ||
+            /[\\/]\.Trash(-\d+)?([\\/]|$)/.test(resolved);
+    }
+
+    // 🗑️ Move files to the trash
+    async trashFiles(filePaths) {
+        if (this.platform !== 'linux') {
+            return this.trashWithSystemTrash(filePaths);
+        }
+
+        const results = { trashed: [], failed: [] };
+        for (const filePath of filePaths) {
+            try {
+                results.trashed.push(await this.trashFile(filePath));
+            } catch (error) {
+                results.failed.push({ path: filePath, error: error.message });
+            }
+        }
+        return results;
+    }
+
+    // 🍎 macOS and Windows use the native trash through the trash package
+    async trashWithSystemTrash(filePaths) {
+        const { default: trash } = await import('trash');
+        const results = { trashed: [], failed: [] };
+
+        try {
+            await trash(filePaths, { glob: false });
+            results.trashed.push(...filePaths.map(filePath => ({ path: filePath })));
+        } catch (error) {
+            // Retry one by one to find out which files could not be trashed
+            for (const filePath of filePaths) {
+                try {
+                    await trash(filePath, { glob: false });
+                    results.trashed.push({ path: filePath });
+                } catch (fileError) {
+                    results.failed.push({ path: filePath, error: fileError.message });
+                }
+            }
+        }
+
+        return results;
+    }
+
+    // 🐧 Move a single file to the freedesktop.org trash
+    async trashFile(filePath) {
+        const absolutePath = path.resolve(filePath);
+        const stat = await fs.lstat(absolutePath);
+        const trash = await this.getTrashDir(absolutePath, stat.dev);
+
+        // Home trash stores absolute paths, top directory trashes store paths relative to $topdir
+        const originalPath = trash.topdir ? path.relative(trash.topdir, absolutePath) : absolutePath;
+        const { name, infoPath } = await this.writeTrashInfo(trash.dir, path.basename(absolutePath), originalPath);
+        const trashPath = path.join(trash.dir, 'files', name);
+
+        try {
+            await fs.rename(absolutePath, trashPath);
+        } catch (error) {
+            await fs.unlink(infoPath).catch(() => {});
+            throw error;
+        }
+
+        return { path: absolutePath, trashPath, infoPath };
+    }
+
+    // 📂 Find the trash directory for a file's filesystem
+    async getTrashDir(absolutePath, dev) {
+        if (this.trashDirs.has(dev)) {
+            return this.trashDirs.get(dev);
+        }
+
+        let trash;
+        if (dev === await this.getHomeTrashDevice()) {
+            trash = { dir: this.homeTrash, topdir: null };
+        } else {
+            const topdir = await this.findTopDir(absolutePath, dev);
+            trash = { dir: await this.getTopDirTrash(topdir), topdir };
+        }
+
+        await fs.mkdir(path.join(trash.dir, 'files'), { recursive: true, mode: 0o700 });
+        await fs.mkdir(path.join(trash.dir, 'info'), { recursive: true, mode: 0o700 });
+
+        this.trashDirs.set(dev, trash);
+        return trash;
+    }
+
+    // 🏠 Device of the home trash, or of its closest existing parent
+    async getHomeTrashDevice() {
+        let current = this.homeTrash;
+        while (true) {
+            try {
+                return (await fs.stat(current)).dev;
+            } catch (error) {
+                const parent = path.dirname(current);
+                if (parent === current) throw error;
+                current = parent;
+            }
+        }
+    }
+
+    // ⛰️ Walk up until the device changes to find the mount point
+    async findTopDir(absolutePath, dev) {
+        let current = path.dirname(absolutePath);
+        while (true) {
+            const parent = path.dirname(current);
+            if (parent === current || (await fs.stat(parent)).dev !== dev) {
+                return current;
+            }
+            current = parent;
+        }
+    }
+
+    // 🗂️ $topdir/.Trash/$uid when an admin prepared it, otherwise $topdir/.Trash-$uid
+    async getTopDirTrash(topdir) {
+        const uid = process.getuid();
+        const sharedTrash = path.join(topdir, '.Trash');
+
+        try {
+            const stat = await fs.lstat(sharedTrash);
+            // The spec requires the shared directory to be a real directory with the sticky bit set
+            if (stat.isDirectory() && (stat.mode & 0o1000)) {
+                return path.join(sharedTrash, String(uid));
+            }
+        } catch (error) {
+            // No shared trash on this filesystem
+        }
+
+        return path.join(topdir, `.Trash-${uid}`);
+    }
+
+    // 📝 Create the .trashinfo file atomically under a free name
+    async writeTrashInfo(trashDir, baseName, originalPath) {
+        const extension = path.extname(baseName);
+        const stem = extension ? baseName.slice(0, -extension.length) : baseName;
+        const info = '[Trash Info]\n' +
+            `Path=${encodeTrashPath(originalPath)}\n` +
+            `DeletionDate=${formatDeletionDate(new Date())}\n`;
+
+        for (let attempt = 1; attempt < 10000; attempt++) {
+            const name = attempt === 1 ? baseName : `${stem}.${attempt}${extension}`;
+            const infoPath = path.join(trashDir, 'info', `${name}.trashinfo`);
+
+            try {
+                await fs.writeFile(infoPath, info, { flag: 'wx', mode: 0o600 });
+            } catch (error) {
+                if (error.code === 'EEXIST') continue;
+                throw error;
+            }
+
+            // A stray file without info file would be overwritten by the rename
+            const taken = await fs.lstat(path.join(trashDir, 'files', name)).then(() => true, () => false);
+            if (!taken) {
+                return { name, infoPath };
+            }
+            await fs.unlink(infoPath);
+        }
+
+        throw new Error(`No free trash name for: ${baseName}`);
+    }
+}
+
+module.exports = TrashBin;
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBackupArchive, verifyBackupArchive, restoreBackupArchive } = require('../lib/backup-archive');
+
+test('a hardlinked file is stored as data and verifies against the manifest', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ultra-cleaner-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const root = path.join(dir, 'src');
+    fs.mkdirSync(root);
+    fs.writeFileSync(path.join(root, 'a'), 'hello');
+    fs.linkSync(path.join(root, 'a'), path.join(root, 'b'));
+
+    const archivePath = path.join(dir, 'backup.tar.gz');
+    const archive = await createBackupArchive({ root, archivePath });
+    const manifest = { ...archive, root, encrypted: false };
+
+    assert.strictEqual(await verifyBackupArchive(archivePath, manifest), true);
+
+    fs.rmSync(root, { recursive: true });
+    await restoreBackupArchive(archivePath, manifest);
+    assert.strictEqual(fs.readFileSync(path.join(root, 'b'), 'utf8'), 'hello');
+});
@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigManager = require('../lib/config-manager');
+
+// A directory per layer, each written only when the test gives it values
+function layeredConfig(t, { system, user, home, project, file, env = {} } = {}) {
+    const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'ultra-cleaner-test-')));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const write = (filePath, values) => {
+        if (values) {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+            fs.writeFileSync(filePath, JSON.stringify(values));
+        }
+    };
+    write(path.join(dir, 'etc', 'config.json'), system);
+    write(path.join(dir, 'xdg', 'config.json'), user);
+    write(path.join(dir, 'home', '.ultra-cleaner.json'), home);
+    write(path.join(dir, 'project', 'ultra-cleaner.json'), project);
+    write(path.join(dir, 'custom.json'), file);
+
+    return {
+        dir,
+        configManager: new ConfigManager({
+            output: () => {},
+            cwd: path.join(dir, 'project'),
+            homeDir: path.join(dir, 'home'),
+            env,
+            systemConfigDir: path.join(dir, 'etc'),
+            userConfigDir: path.join(dir, 'xdg')
+        })
+    };
+}
+
+const jobs = value => ({ performance: { maxParallelJobs: value } });
+
+test('layers apply in order: defaults, system, user, home, project, environment, command line', async (t) => {
+    const { configManager } = layeredConfig(t, {
+        system: jobs(2),
+        user: jobs(3),
+        home: jobs(4),
+        project: jobs(5),
+        env: { ULTRA_CLEANER_PERFORMANCE__MAX_PARALLEL_JOBS: '6' }
+    });
+
+    const config = await configManager.loadConfig(null, { overrides: jobs(7) });
+
+    assert.strictEqual(config.performance.maxParallelJobs, 7);
+    assert.deepStrictEqual(configManager.layers.map(layer => layer.name),
+        ['defaults', 'system', 'user', 'home', 'project', 'env', 'cli']);
+    assert.strictEqual(configManager.getSource('/performance/maxParallelJobs').name, 'cli');
+});
+
+test('each layer only replaces the keys it sets', async (t) => {
+    const { configManager } = layeredConfig(t, {
+        system: { performance: { maxParallelJobs: 2 }, global: { verbose: true } },
+        home: jobs(4),
+        env: { ULTRA_CLEANER_PERFORMANCE__MAX_PARALLEL_JOBS: '6' }
+    });
+
+    const config = await configManager.loadConfig();
+
+    assert.strictEqual(config.performance.maxParallelJobs, 6);
+    assert.strictEqual(configManager.getSource('/performance/maxParallelJobs').name, 'env');
+    assert.strictEqual(config.global.verbose, true);
+    assert.strictEqual(configManager.getSource('/global/verbose').name, 'system');
+    assert.strictEqual(configManager.getSource('/global/dryRun').name, 'defaults');
+});
+
+test('--config takes the place of the project file', async (t) => {
+    const { dir, configManager } = layeredConfig(t, { home: jobs(4), project: jobs(5), file: jobs(3) });
+
+    const config = await configManager.loadConfig(path.join(dir, 'custom.json'));
+
+    assert.strictEqual(config.performance.maxParallelJobs, 3);
+    assert.deepStrictEqual(configManager.layers.map(layer => layer.name), ['defaults', 'home', 'file']);
+});
+
+test('environment values are parsed to the type the schema expects', async (t) => {
+    const { configManager } = layeredConfig(t, {
+        env: {
+            ULTRA_CLEANER_GLOBAL__DRY_RUN: 'yes',
+            ULTRA_CLEANER_GLOBAL__BACKUP: 'false',
+            ULTRA_CLEANER_EXCLUDE_PATTERNS__GLOBAL: '*.keep, **/keep/**',
+            // Not configuration: no section separator
+            ULTRA_CLEANER_BACKUP_PASSPHRASE: 'secret'
+        }
+    });
+
+    const config = await configManager.loadConfig();
+
+    assert.strictEqual(config.global.dryRun, true);
+    assert.strictEqual(config.global.backup, false);
+    assert.deepStrictEqual(config.excludePatterns.global, ['*.keep', '**/keep/**']);
+    assert.strictEqual(config.backupPassphrase, undefined);
+});
+
+test('global.dryRun and global.backup from a layer apply unless the command line sets them', async (t) => {
+    const { configManager } = layeredConfig(t, {
+        env: { ULTRA_CLEANER_GLOBAL__DRY_RUN: 'true', ULTRA_CLEANER_GLOBAL__BACKUP: 'false' }
+    });
+    await configManager.loadConfig();
+
+    const fromLayers = configManager.mergeOptions({});
+    assert.strictEqual(fromLayers.dryRun, true);
+    assert.strictEqual(fromLayers.enableBackup, false);
+
+    const fromFlags = configManager.mergeOptions({ dryRun: false, enableBackup: true });
+    assert.strictEqual(fromFlags.dryRun, false);
+    assert.strictEqual(fromFlags.enableBackup, true);
+});
+
+test('an invalid value in a layer stops loading with the layer named', async (t) => {
+    const { configManager } = layeredConfig(t, { env: { ULTRA_CLEANER_PERFORMANCE__MAX_PARALLEL_JOBS: 'many' } });
+
+    await assert.rejects(configManager.loadConfig(), /Invalid configuration in env layer:[\s\S]*\/performance\/maxParallelJobs/);
+});
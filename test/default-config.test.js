@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ConfigManager = require('../lib/config-manager');
+const UltraSystemCleaner = require('../lib/cleaner');
+const FileFilter = require('../lib/file-filter');
+
+const stat = { size: 1024, mtimeMs: 0 };
+
+// Only the bundled defaults: no system, user, home or project files and no environment overrides
+async function defaultOptions(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ultra-cleaner-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const configManager = new ConfigManager({
+        output: () => {},
+        cwd: dir,
+        homeDir: dir,
+        env: {},
+        systemConfigDir: path.join(dir, 'etc'),
+        userConfigDir: path.join(dir, 'xdg')
+    });
+    await configManager.loadConfig();
+    return configManager.mergeOptions({});
+}
+
+test('the default configuration leaves ordinary cache files selected in every area', async (t) => {
+    const cleaner = new UltraSystemCleaner(await defaultOptions(t));
+    const filterFor = (area, pathInfo) => new FileFilter(cleaner.resolveFilters(area, pathInfo));
+
+    assert.strictEqual(filterFor('system').evaluate('/tmp/tmp-1234/chunk.bin', stat), null);
+    assert.strictEqual(filterFor('npm').evaluate('/home/me/.npm/_cacache/content-v2/sha512/ab/cdef', stat), null);
+    assert.strictEqual(filterFor('user').evaluate('/home/me/.cache/thumbnails/large/abc.png', stat), null);
+    assert.strictEqual(filterFor('logs').evaluate('/home/me/.config/Teams/logs/main.log', stat), null);
+});
+
+test('the bundled project cache path is not excluded by the global patterns', async (t) => {
+    const options = await defaultOptions(t);
+    const cleaner = new UltraSystemCleaner(options);
+    const group = options.customPaths.find(entry => entry.name === 'custom-development');
+    const pathInfo = group.paths.find(entry => entry.path.endsWith('node_modules/.cache'));
+
+    const filter = new FileFilter(cleaner.resolveFilters(group.category, pathInfo));
+    assert.strictEqual(filter.evaluate('/home/me/Projects/app/node_modules/.cache/babel-loader/a.json', stat), null);
+    assert.strictEqual(filter.evaluate('/home/me/Projects/app/node_modules/.cache/important-cache/a.json', stat), 'excluded');
+});
+
+test('the default configuration still protects repositories and its own data', async (t) => {
+    const filter = new FileFilter(new UltraSystemCleaner(await defaultOptions(t)).resolveFilters('user'));
+
+    assert.strictEqual(filter.evaluate('/home/me/.cache/repo/.git/HEAD', stat), 'excluded');
+    assert.strictEqual(filter.excludesDirectory('/home/me/.ultra-cleaner-backups'), true);
+});
+
+test('areas with backups turned off in the defaults are deleted without one', async (t) => {
+    const cleaner = new UltraSystemCleaner(await defaultOptions(t));
+
+    assert.strictEqual(cleaner.resolveStrategy('user'), 'backup-then-delete');
+    assert.strictEqual(cleaner.resolveStrategy('npm'), 'delete');
+    assert.strictEqual(cleaner.resolveStrategy('logs'), 'delete');
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DiskWatcher = require('../lib/disk-watcher');
+
+const GB = 1024 ** 3;
+
+test('a low mount cleans once and re-arms only above the resume level', async () => {
+    let free = 5 * GB;
+    let cleanups = 0;
+    const watcher = new DiskWatcher({
+        mountPoints: ['/'],
+        minFree: '10%',
+        resumeFree: '15%',
+        cooldownMinutes: 0,
+        statfs: async () => ({ bsize: 4096, blocks: 100 * GB / 4096, bavail: free / 4096 }),
+        cleanup: async () => { cleanups++; }
+    });
+
+    assert.strictEqual((await watcher.check()).triggered, true);
+    assert.strictEqual((await watcher.check()).triggered, false);
+
+    free = 20 * GB;
+    await watcher.check();
+    free = 5 * GB;
+    assert.strictEqual((await watcher.check()).triggered, true);
+    assert.strictEqual(cleanups, 2);
+});
+
+test('watching needs fs.statfs', () => {
+    // As on Node.js before 18.15, which has no fs.promises.statfs
+    assert.throws(() => new DiskWatcher({ mountPoints: ['/'], cleanup: async () => {}, statfs: undefined }),
+        /needs Node.js 18.15 or later/);
+});
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UltraSystemCleaner = require('../lib/cleaner');
+
+// 🧪 A home and temp directory of their own, so built-in targets never point at the real ones: { dir, home }
+function sandbox(t) {
+    const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'ultra-cleaner-test-')));
+    const saved = { HOME: process.env.HOME, TMPDIR: process.env.TMPDIR };
+    process.env.HOME = path.join(dir, 'home');
+    process.env.TMPDIR = path.join(dir, 'tmp');
+    fs.mkdirSync(process.env.HOME);
+    fs.mkdirSync(process.env.TMPDIR);
+
+    t.after(() => {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    return { dir, home: process.env.HOME };
+}
+
+// 🧹 A cleaner that keeps its log, backups and analytics inside the sandbox
+function createCleaner(dir, options = {}) {
+    return new UltraSystemCleaner({
+        mode: 'apply',
+        enableLogging: false,
+        enableAnalytics: false,
+        backupLocation: path.join(dir, 'backups'),
+        logLocation: path.join(dir, 'ultra-cleaner.log'),
+        analyticsLocation: path.join(dir, 'analytics'),
+        ...options
+    });
+}
+
+module.exports = { sandbox, createCleaner };
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const PathPolicy = require('../lib/path-policy');
+const { sandbox } = require('./helpers');
+
+const reasonFor = async (policy, targetPath) => (await policy.check(targetPath)).reason;
+
+test('protected trees and critical roots are refused, caches are not', async (t) => {
+    const { home } = sandbox(t);
+    const policy = new PathPolicy({ platform: 'linux' });
+
+    assert.strictEqual(await reasonFor(policy, home), 'critical-path');
+    assert.strictEqual(await reasonFor(policy, '/usr'), 'critical-path');
+    assert.strictEqual(await reasonFor(policy, '/etc/ssh/sshd_config'), 'system-path');
+    assert.strictEqual(await reasonFor(policy, path.join(home, '.ssh', 'id_ed25519')), 'system-path');
+    assert.strictEqual(await reasonFor(policy, path.join(home, '.cache', 'app')), null);
+});
+
+test('.. segments and symlinks are resolved before the policy applies', async (t) => {
+    const { home } = sandbox(t);
+    fs.mkdirSync(path.join(home, '.ssh'));
+    fs.mkdirSync(path.join(home, '.cache'));
+    fs.symlinkSync(path.join(home, '.ssh'), path.join(home, '.cache', 'keys'));
+    const policy = new PathPolicy({ platform: 'linux' });
+
+    assert.strictEqual(await reasonFor(policy, path.join(home, '.cache', '..', '.ssh', 'id_ed25519')), 'system-path');
+    assert.strictEqual(await reasonFor(policy, path.join(home, '.cache', 'keys', 'id_ed25519')), 'system-path');
+});
+
+test('the low level only refuses critical roots unless system paths are blocked explicitly', async (t) => {
+    sandbox(t);
+
+    assert.strictEqual(await reasonFor(new PathPolicy({ platform: 'linux', level: 'low' }), '/etc/app/cache'), null);
+    assert.strictEqual(await reasonFor(new PathPolicy({ platform: 'linux', level: 'low', blockSystemPaths: true }), '/etc/app/cache'),
+        'system-path');
+    assert.strictEqual(await reasonFor(new PathPolicy({ platform: 'linux', level: 'low' }), '/etc'), 'critical-path');
+});
+
+test('allowlist mode only allows paths below an allowed root', async (t) => {
+    const { home } = sandbox(t);
+    const policy = new PathPolicy({ platform: 'linux', allowedPathsOnly: true, allowedPaths: [path.join(home, '.cache')] });
+
+    assert.strictEqual(await reasonFor(policy, path.join(home, '.cache', 'app')), null);
+    assert.strictEqual(await reasonFor(policy, path.join(home, 'Downloads', 'app')), 'not-allowlisted');
+
+    policy.allow([path.join(home, 'Downloads')]);
+    assert.strictEqual(await reasonFor(policy, path.join(home, 'Downloads', 'app')), null);
+});
+
+test('the high level protects personal data and implies allowlist mode', async (t) => {
+    const { home } = sandbox(t);
+    const policy = new PathPolicy({ platform: 'linux', level: 'high', allowedPaths: [home] });
+
+    assert.strictEqual(await reasonFor(policy, path.join(home, 'Documents', 'draft.txt')), 'personal-data');
+    assert.strictEqual(await reasonFor(policy, path.join(home, '.cache', 'app')), null);
+    assert.strictEqual(await reasonFor(new PathPolicy({ platform: 'linux', level: 'high' }), path.join(home, '.cache', 'app')),
+        'not-allowlisted');
+
+    // A stricter per-target level applies on top of the policy's own
+    const standard = new PathPolicy({ platform: 'linux' });
+    assert.strictEqual((await standard.check(path.join(home, 'Documents', 'draft.txt'), { level: 'high' })).reason, 'personal-data');
+
+    assert.throws(() => new PathPolicy({ level: 'paranoid' }), /Unknown security level: paranoid/);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { matchesPattern, compilePattern } = require('../lib/pattern-matcher');
+const FileFilter = require('../lib/file-filter');
+
+const stat = { size: 1, mtimeMs: 0 };
+
+test('a pattern without a slash matches the whole file name', () => {
+    assert.strictEqual(matchesPattern('/home/me/.cache/a.log', '*.log'), true);
+    assert.strictEqual(matchesPattern('/home/me/.cache/A.LOG', '*.log'), true);
+    assert.strictEqual(matchesPattern('/home/me/.cache/a.log.gz', '*.log'), false);
+    assert.strictEqual(matchesPattern('/home/me/.cache/x.logbook/keep.txt', '*.log'), false);
+});
+
+test('a relative pattern with a slash matches the end of the path', () => {
+    assert.strictEqual(matchesPattern('/home/me/cache/a.tmp', 'cache/*.tmp'), true);
+    assert.strictEqual(matchesPattern('/home/me/xcache/a.tmp', 'cache/*.tmp'), false);
+    assert.strictEqual(matchesPattern('/home/me/cache/a.tmp.bak', 'cache/*.tmp'), false);
+    assert.strictEqual(matchesPattern('/repo/node_modules/pkg/index.js', '**/node_modules/**'), true);
+    assert.strictEqual(matchesPattern('/repo/b.log', '**/*.log'), true);
+    assert.strictEqual(matchesPattern('/repo/b.logx', '**/*.log'), false);
+});
+
+test('an absolute pattern matches the whole path', () => {
+    assert.strictEqual(matchesPattern('/abs/file', '/abs/*'), true);
+    assert.strictEqual(matchesPattern('/other/abs/file', '/abs/*'), false);
+    assert.strictEqual(matchesPattern('/abs/dir/file', '/abs/*'), false);
+});
+
+test('file filter patterns, include and exclude are anchored', () => {
+    const selected = new FileFilter({ patterns: ['*.log'] });
+    assert.strictEqual(selected.matches('/home/me/.cache/a.log', stat), true);
+    assert.strictEqual(selected.matches('/home/me/.cache/a.log.gz', stat), false);
+    assert.strictEqual(selected.matches('/home/me/.cache/x.logbook/keep.txt', stat), false);
+
+    const excluded = new FileFilter({ exclude: ['*.keep'] });
+    assert.strictEqual(excluded.evaluate('/home/me/.cache/a.keep', stat), 'excluded');
+    assert.strictEqual(excluded.evaluate('/home/me/.cache/a.keeper', stat), null);
+
+    const included = new FileFilter({ include: ['*.tmp'] });
+    assert.strictEqual(included.evaluate('/home/me/.cache/a.tmp', stat), null);
+    assert.strictEqual(included.evaluate('/home/me/.cache/a.tmp.old', stat), 'excluded');
+});
+
+test('directories are excluded by name or by path', () => {
+    assert.strictEqual(new FileFilter({ exclude: ['node_modules'] }).excludesDirectory('/repo/node_modules'), true);
+    assert.strictEqual(new FileFilter({ exclude: ['**/node_modules/**'] }).excludesDirectory('/repo/node_modules'), true);
+    assert.strictEqual(new FileFilter({ exclude: ['node_modules'] }).excludesDirectory('/repo/node_modules_old'), false);
+});
+
+test('an invalid pattern is reported to the caller', () => {
+    assert.throws(() => compilePattern('[a'), /Invalid pattern: \[a/);
+    assert.throws(() => new FileFilter({ patterns: ['[a'] }), /Invalid pattern/);
+});
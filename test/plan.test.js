@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { sandbox, createCleaner } = require('./helpers');
+
+// A cache target inside the sandbox
+function cacheTarget(t) {
+    const { dir, home } = sandbox(t);
+    const target = path.join(home, '.cache', 'app');
+    fs.mkdirSync(target, { recursive: true });
+    return { dir, target };
+}
+
+// A plan entry listing the files as they are now
+function planFor(target, files, strategy = 'backup-then-delete') {
+    return {
+        version: 1,
+        mode: 'apply',
+        targets: [{
+            path: target,
+            description: 'Test Cache',
+            category: 'user',
+            area: 'user',
+            status: 'ready',
+            strategy,
+            rules: {},
+            files: files.map(file => {
+                const stat = fs.lstatSync(file);
+                return { path: file, size: stat.size, mtimeMs: stat.mtimeMs };
+            })
+        }]
+    };
+}
+
+test('a planned backup becomes a plain delete when backups are off at apply time', async (t) => {
+    const { dir, target } = cacheTarget(t);
+    const file = path.join(target, 'a.bin');
+    fs.writeFileSync(file, 'cached');
+
+    const result = await createCleaner(dir, { enableBackup: false }).applyPlan(planFor(target, [file]));
+
+    assert.strictEqual(result.targets[0].status, 'cleaned');
+    assert.strictEqual(result.targets[0].strategy, 'delete');
+    assert.strictEqual(fs.existsSync(file), false);
+});
+
+test('files changed, removed or outside the target since the scan are refused', async (t) => {
+    const { dir, target } = cacheTarget(t);
+    const unchanged = path.join(target, 'unchanged.bin');
+    const changed = path.join(target, 'changed.bin');
+    const removed = path.join(target, 'removed.bin');
+    const outside = path.join(dir, 'outside.bin');
+    for (const file of [unchanged, changed, removed, outside]) {
+        fs.writeFileSync(file, 'cached');
+    }
+
+    const plan = planFor(target, [unchanged, changed, removed, outside], 'delete');
+    fs.writeFileSync(changed, 'rewritten since the scan');
+    fs.rmSync(removed);
+
+    const result = await createCleaner(dir).applyPlan(plan);
+
+    assert.strictEqual(result.targets[0].refused, 3);
+    assert.strictEqual(fs.existsSync(unchanged), false);
+    assert.strictEqual(fs.readFileSync(changed, 'utf8'), 'rewritten since the scan');
+    assert.strictEqual(fs.existsSync(outside), true);
+});
+
+test('a plan of another version is rejected', async (t) => {
+    const { dir, target } = cacheTarget(t);
+
+    await assert.rejects(createCleaner(dir).applyPlan({ ...planFor(target, []), version: 99 }),
+        /Unsupported or invalid cleanup plan/);
+});
+
+test('files moved to the trash are reported apart from freed space', async (t) => {
+    const { dir, target } = cacheTarget(t);
+    const file = path.join(target, 'a.bin');
+    fs.writeFileSync(file, 'cached');
+
+    const result = await createCleaner(dir).applyPlan(planFor(target, [file], 'trash'));
+
+    assert.strictEqual(result.targets[0].strategy, 'trash');
+    assert.strictEqual(result.totals.size, 0);
+    assert.strictEqual(result.totals.trashed, 'cached'.length);
+    assert.strictEqual(fs.existsSync(file), false);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SecurityManager = require('../lib/security-manager');
+
+function tempDir(t) {
+    const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'ultra-cleaner-test-')));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+function createManager(dir, options = {}) {
+    return new SecurityManager({
+        enableLogging: false,
+        backupLocation: path.join(dir, 'backups'),
+        logLocation: path.join(dir, 'ultra-cleaner.log'),
+        output: () => {},
+        ...options
+    });
+}
+
+// A backup of a small directory, dated the given number of days back
+async function backupOf(manager, dir, name, { daysOld = 0 } = {}) {
+    const target = path.join(dir, name);
+    fs.mkdirSync(target, { recursive: true });
+    fs.writeFileSync(path.join(target, 'data.bin'), name.repeat(100));
+
+    const id = await manager.createBackup(target);
+    manager.backups.get(id).timestamp -= daysOld * 24 * 60 * 60 * 1000;
+    await manager.saveCatalog();
+    return id;
+}
+
+test('expired backups are only removed when the backup system runs its retention', async (t) => {
+    const dir = tempDir(t);
+    const writer = createManager(dir);
+    await writer.initialize();
+    const expired = await backupOf(writer, dir, 'old', { daysOld: 40 });
+    const recent = await backupOf(writer, dir, 'new');
+
+    const reader = createManager(dir, { autoCleanup: false });
+    await reader.initialize();
+    assert.deepStrictEqual(reader.listBackups().map(backup => backup.id).sort(), [expired, recent].sort());
+
+    const cleaner = createManager(dir, { retentionDays: 30 });
+    await cleaner.initialize();
+    assert.deepStrictEqual(cleaner.listBackups().map(backup => backup.id), [recent]);
+});
+
+test('the backup budget evicts the oldest backups of earlier sessions first', async (t) => {
+    const dir = tempDir(t);
+    const earlier = createManager(dir);
+    await earlier.initialize();
+    const oldest = await backupOf(earlier, dir, 'oldest', { daysOld: 2 });
+    const newer = await backupOf(earlier, dir, 'newer', { daysOld: 1 });
+
+    const current = createManager(dir);
+    await current.initialize();
+    const own = await backupOf(current, dir, 'own');
+    // Full but for 1KB: a backup the size of the oldest one fits once the oldest is gone
+    current.options.maxBackupSize = current.getTotalBackupSize() + 1024;
+
+    const reserved = await current.reserveBackupSpace(current.backups.get(oldest).size + 1024);
+    assert.strictEqual(reserved.allowed, true);
+    assert.deepStrictEqual(reserved.evicted, [oldest]);
+    assert.deepStrictEqual(current.listBackups().map(backup => backup.id).sort(), [newer, own].sort());
+});
+
+test('a backup larger than the budget, or one that only fits by evicting this session, is refused', async (t) => {
+    const dir = tempDir(t);
+    const manager = createManager(dir, { maxBackupSize: 4096 });
+    await manager.initialize();
+    await backupOf(manager, dir, 'own');
+
+    assert.deepStrictEqual(await manager.reserveBackupSpace(8192), { allowed: false, reason: 'exceeds-budget', evicted: [] });
+    assert.deepStrictEqual(await manager.reserveBackupSpace(4096), { allowed: false, reason: 'budget-exhausted', evicted: [] });
+    assert.strictEqual(manager.listBackups().length, 1);
+});
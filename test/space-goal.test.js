@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const SpaceGoal = require('../lib/space-goal');
+const { sandbox, createCleaner } = require('./helpers');
+
+const GB = 1024 ** 3;
+
+// statfs of a 100GB disk with the given bytes free
+const disk = free => async () => ({ bsize: 4096, blocks: 100 * GB / 4096, bavail: free / 4096 });
+
+test('targets rank by category priority, then risk, then size', () => {
+    const entries = [
+        { path: 'big-user', area: 'user', risk: 'low', size: 900 },
+        { path: 'small-system', area: 'system', risk: 'low', size: 10 },
+        { path: 'risky-system', area: 'system', risk: 'high', size: 5000 },
+        { path: 'large-system', area: 'system', risk: 'low', size: 500 },
+        { path: 'custom', area: 'custom', size: 100 }
+    ];
+
+    const ranked = SpaceGoal.rank(entries, { system: 1, user: 2 });
+
+    assert.deepStrictEqual(ranked.map(entry => entry.path),
+        ['large-system', 'small-system', 'risky-system', 'big-user', 'custom']);
+});
+
+test('the projection stops at the first target that meets the goal', () => {
+    const ranked = [{ size: 4 }, { size: 3 }, { size: 10 }];
+
+    assert.strictEqual(SpaceGoal.project(ranked, 5, 11).stopIndex, 1);
+    assert.deepStrictEqual(SpaceGoal.project(ranked, 5, 11).steps.map(step => step.projectedFree), [9, 12, 22]);
+    assert.strictEqual(SpaceGoal.project(ranked, 12, 11).stopIndex, -1);
+    assert.strictEqual(SpaceGoal.project(ranked, 0, 100).stopIndex, ranked.length);
+});
+
+test('a goal measures what is missing in bytes or as a share of the disk', async () => {
+    const bytesGoal = new SpaceGoal({ mount: '/', target: '30GB', statfs: disk(20 * GB) });
+    assert.strictEqual((await bytesGoal.measure()).needed, 10 * GB);
+
+    const shareGoal = new SpaceGoal({ mount: '/', target: '10%', statfs: disk(20 * GB) });
+    assert.strictEqual((await shareGoal.measure()).needed, 0);
+
+    assert.throws(() => new SpaceGoal({ mount: '/', target: 'lots' }), /Invalid free space threshold/);
+    // As on Node.js before 18.15, which has no fs.promises.statfs
+    assert.throws(() => new SpaceGoal({ mount: '/', target: '10%', statfs: undefined }), /needs Node.js 18.15 or later/);
+});
+
+test('a goal refuses targets that would be backed up unless it is a dry run', async (t) => {
+    const { dir, home } = sandbox(t);
+    fs.mkdirSync(path.join(home, '.cache'));
+    fs.writeFileSync(path.join(home, '.cache', 'a.bin'), 'cached');
+    const options = { customAreas: ['user'], targetFree: '100%', targetMount: home, enableBackup: true };
+
+    await assert.rejects(createCleaner(dir, options).run(), /only works with the delete strategy/);
+
+    const result = await createCleaner(dir, { ...options, dryRun: true }).run();
+    assert.strictEqual(result.goal.projected, true);
+    assert.strictEqual(result.goal.met, false);
+    assert.strictEqual(fs.existsSync(path.join(home, '.cache', 'a.bin')), true);
+});